@@ -0,0 +1,452 @@
+/**
+ * Anki package reader
+ * Reads an .apkg / .colpkg (a zip holding an SQLite collection) entirely in
+ * the browser and turns its notes into Kapanak cards.
+ *
+ * - Zip: stored and deflated entries (DecompressionStream 'deflate-raw')
+ * - SQLite: a minimal read-only B-tree walker, enough to read whole tables
+ *   of the collection (col / notetypes + fields, notes, cards), including
+ *   WITHOUT ROWID tables (stored as index B-trees)
+ * - Packages in Anki's newer zstd format (collection.anki21b only) are
+ *   rejected with a hint to re-export with "Support older Anki versions"
+ *
+ * One card per note: the note's first card (ord 0) supplies the scheduling
+ * state. Reverse cards are not needed — Kapanak has swap mode.
+ */
+window.AnkiImport = (function () {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const FIELD_SEPARATOR = '\x1f';
+    const CLOZE = /\{\{c\d+::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+    // ── zip ──────────────────────────────────────────────────────────────────
+
+    /**
+     * List the entries of a zip archive
+     * @param {ArrayBuffer} buffer - Archive bytes
+     * @returns {Map<string, {method: number, size: number, offset: number}>}
+     */
+    function _zipEntries(buffer) {
+        const view = new DataView(buffer);
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd < 0) throw new Error('Not a zip file');
+
+        const entries = new Map();
+        const count = view.getUint16(eocd + 10, true);
+        let pos = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt zip directory');
+            const nameLen = view.getUint16(pos + 28, true);
+            const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLen));
+            entries.set(name, {
+                method: view.getUint16(pos + 10, true),
+                size:   view.getUint32(pos + 20, true),
+                offset: view.getUint32(pos + 42, true)
+            });
+            pos += 46 + nameLen + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+        }
+        return entries;
+    }
+
+    /**
+     * Extract one zip entry
+     * @param {ArrayBuffer} buffer - Archive bytes
+     * @param {{method: number, size: number, offset: number}} entry
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async function _unzip(buffer, entry) {
+        const view = new DataView(buffer);
+        const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        const data = buffer.slice(start, start + entry.size);
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error('Unsupported zip compression');
+        if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unpack Anki packages');
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return await new Response(stream).arrayBuffer();
+    }
+
+    // ── SQLite ───────────────────────────────────────────────────────────────
+
+    /**
+     * Open an SQLite database image for reading
+     * @param {ArrayBuffer} buffer - Database file
+     * @returns {{readTable: Function}} readTable(name) → Array of row objects
+     */
+    function _openSqlite(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view  = new DataView(buffer);
+        if (new TextDecoder().decode(bytes.subarray(0, 15)) !== 'SQLite format 3') {
+            throw new Error('Not an SQLite database');
+        }
+        const rawPageSize = view.getUint16(16);
+        const pageSize = rawPageSize === 1 ? 65536 : rawPageSize;
+        const usable = pageSize - bytes[20];
+        const decoder = new TextDecoder();
+
+        // SQLite varint: 1–9 bytes, big-endian, 7 bits per byte (8 in the 9th)
+        function varint(buf, pos) {
+            let value = 0;
+            for (let i = 0; i < 8; i++) {
+                const b = buf[pos + i];
+                value = value * 128 + (b & 0x7f);
+                if (b < 0x80) return [value, pos + i + 1];
+            }
+            return [value * 256 + buf[pos + 8], pos + 9];
+        }
+
+        // Payload of a table leaf cell (size, rowid, data) or an index cell
+        // (size, data), following overflow pages when needed
+        function payload(pos, index = false) {
+            let size, rowid = null;
+            [size, pos] = varint(bytes, pos);
+            if (!index) [rowid, pos] = varint(bytes, pos);
+            const maxLocal = index ? Math.floor((usable - 12) * 64 / 255) - 23 : usable - 35;
+            if (size <= maxLocal) return { rowid, data: bytes.subarray(pos, pos + size) };
+
+            const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+            let local = minLocal + (size - minLocal) % (usable - 4);
+            if (local > maxLocal) local = minLocal;
+            const data = new Uint8Array(size);
+            data.set(bytes.subarray(pos, pos + local));
+            let filled = local;
+            let page = view.getUint32(pos + local);
+            while (page && filled < size) {
+                const start = (page - 1) * pageSize;
+                const chunk = Math.min(usable - 4, size - filled);
+                data.set(bytes.subarray(start + 4, start + 4 + chunk), filled);
+                filled += chunk;
+                page = view.getUint32(start);
+            }
+            return { rowid, data };
+        }
+
+        // Decode a record: header of serial types, then the values
+        function record(data) {
+            const dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            let [headerSize, pos] = varint(data, 0);
+            const types = [];
+            while (pos < headerSize) {
+                let type;
+                [type, pos] = varint(data, pos);
+                types.push(type);
+            }
+
+            const values = [];
+            let body = headerSize;
+            for (const t of types) {
+                if (t === 0) {
+                    values.push(null);
+                } else if (t <= 6) {
+                    const len = [0, 1, 2, 3, 4, 6, 8][t];
+                    let v = 0;
+                    for (let i = 0; i < len; i++) v = v * 256 + data[body + i];
+                    if (data[body] & 0x80) v -= Math.pow(2, len * 8);
+                    values.push(v);
+                    body += len;
+                } else if (t === 7) {
+                    values.push(dv.getFloat64(body));
+                    body += 8;
+                } else if (t === 8 || t === 9) {
+                    values.push(t - 8);
+                } else if (t >= 12) {
+                    const len = (t - (t % 2 ? 13 : 12)) / 2;
+                    const chunk = data.subarray(body, body + len);
+                    values.push(t % 2 ? decoder.decode(chunk) : chunk);
+                    body += len;
+                }
+            }
+            return values;
+        }
+
+        // All rows of a B-tree in key order: a table B-tree (rowid tables)
+        // or an index B-tree (WITHOUT ROWID tables, whose interior cells
+        // hold rows too, between their left child and the next cell's)
+        function walk(page, rows) {
+            const start = (page - 1) * pageSize;
+            const header = page === 1 ? 100 : 0;
+            const type = bytes[start + header];
+            const interior = type === 0x05 || type === 0x02;
+            const cells = view.getUint16(start + header + 3);
+            const pointers = start + header + (interior ? 12 : 8);
+            for (let i = 0; i < cells; i++) {
+                const cell = start + view.getUint16(pointers + i * 2);
+                if (interior) walk(view.getUint32(cell), rows);
+                if (type === 0x0d) {
+                    const { rowid, data } = payload(cell);
+                    rows.push({ rowid, values: record(data) });
+                } else if (type === 0x0a || type === 0x02) {
+                    const { data } = payload(type === 0x02 ? cell + 4 : cell, true);
+                    rows.push({ rowid: null, values: record(data) });
+                }
+            }
+            if (interior) walk(view.getUint32(start + header + 8), rows);
+            return rows;
+        }
+
+        // Column names from a CREATE TABLE statement, in the order a row
+        // record stores them; `alias` is the INTEGER PRIMARY KEY column,
+        // which is stored as the rowid. A WITHOUT ROWID table has no rowid:
+        // its records hold the primary key columns first, then the rest.
+        function columns(sql) {
+            const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+            const defs = [];
+            let depth = 0, current = '';
+            for (const ch of body) {
+                if (ch === '(') depth++;
+                if (ch === ')') depth--;
+                if (ch === ',' && depth === 0) { defs.push(current); current = ''; }
+                else current += ch;
+            }
+            defs.push(current);
+            const unquote = name => name.trim().replace(/^["`[]|["`\]]$/g, '');
+            const withoutRowid = /\)\s*without\s+rowid\s*$/i.test(sql.trim());
+            const names = [];
+            let key = [];
+            for (const def of defs.map(d => d.trim())) {
+                const tableKey = def.match(/^(?:constraint\s+\S+\s+)?primary\s+key\s*\(([^)]*)\)/i);
+                if (tableKey) key = tableKey[1].split(',').map(k => unquote(k.trim().split(/\s+/)[0]));
+                if (/^(primary|unique|check|foreign|constraint)\b/i.test(def)) continue;
+                const name = unquote(def.split(/\s+/)[0]);
+                if (/\bprimary\s+key\b/i.test(def)) key = [name];
+                names.push({ name, integer: /^\S+\s+integer\b/i.test(def) });
+            }
+            if (withoutRowid) {
+                return { names: [...key, ...names.map(n => n.name).filter(n => !key.includes(n))], alias: null };
+            }
+            const aliased = key.length === 1 && names.find(n => n.name === key[0] && n.integer);
+            return { names: names.map(n => n.name), alias: aliased ? aliased.name : null };
+        }
+
+        const master = walk(1, []).map(r => ({ type: r.values[0], name: r.values[1], root: r.values[3], sql: r.values[4] }));
+
+        return {
+            hasTable: name => master.some(m => m.type === 'table' && m.name === name),
+            readTable(name) {
+                const table = master.find(m => m.type === 'table' && m.name === name);
+                if (!table) throw new Error(`Missing table ${name}`);
+                const { names, alias } = columns(table.sql);
+                return walk(table.root, []).map(({ rowid, values }) => {
+                    const row = {};
+                    names.forEach((col, i) => { row[col] = values[i] === undefined ? null : values[i]; });
+                    if (alias) row[alias] = rowid;
+                    return row;
+                });
+            }
+        };
+    }
+
+    // ── collection ───────────────────────────────────────────────────────────
+
+    /**
+     * A top-level varint field of a protobuf message (Anki stores note type
+     * config this way in newer schemas)
+     * @param {Uint8Array} bytes - Encoded message
+     * @param {number} field - Field number
+     * @returns {number} Its value, or 0 (protobuf's default) when absent
+     */
+    function _protoVarint(bytes, field) {
+        const read = pos => {
+            let value = 0, scale = 1, b;
+            do {
+                b = bytes[pos++];
+                value += (b & 0x7f) * scale;
+                scale *= 128;
+            } while (b & 0x80);
+            return [value, pos];
+        };
+        let pos = 0, result = 0;
+        while (bytes && pos < bytes.length) {
+            let tag, value;
+            [tag, pos] = read(pos);
+            const wire = tag % 8;
+            if (wire === 0) {
+                [value, pos] = read(pos);
+                if (Math.floor(tag / 8) === field) result = value;
+            } else if (wire === 1) pos += 8;
+            else if (wire === 2) { [value, pos] = read(pos); pos += value; }
+            else if (wire === 5) pos += 4;
+            else break;
+        }
+        return result;
+    }
+
+    // Note types from the legacy `col.models` JSON or, in newer schemas
+    // (where `col.models` is empty), the `notetypes` + `fields` tables;
+    // the note type kind (1 = cloze) is field 1 of its config
+    function _noteTypes(sqlite, col) {
+        if (col.models && !sqlite.hasTable('notetypes')) {
+            return Object.values(JSON.parse(col.models)).map(m => ({
+                id: Number(m.id),
+                name: m.name,
+                cloze: m.type === 1,
+                fields: [...m.flds].sort((a, b) => a.ord - b.ord).map(f => f.name)
+            }));
+        }
+        const fields = sqlite.readTable('fields');
+        return sqlite.readTable('notetypes').map(nt => ({
+            id: nt.id,
+            name: nt.name,
+            cloze: _protoVarint(nt.config, 1) === 1,
+            fields: fields.filter(f => f.ntid === nt.id).sort((a, b) => a.ord - b.ord).map(f => f.name)
+        }));
+    }
+
+    /**
+     * Read an Anki package
+     * @param {Blob} file - .apkg or .colpkg file
+     * @returns {Promise<{noteTypes: Array, notes: Array, created: number}>}
+     *   noteTypes: [{ id, name, cloze, fields: [names], count }]
+     *   notes: [{ id, mid, fields: [html], tags: [string], card: {type, queue, due, ivl, factor, reps, lapses}|null }]
+     *   created: collection creation time (ms), the origin of review due days
+     */
+    async function readPackage(file) {
+        const buffer = await file.arrayBuffer();
+        const entries = _zipEntries(buffer);
+        const entry = entries.get('collection.anki21') || entries.get('collection.anki2');
+        if (entries.has('collection.anki21b') && !entries.has('collection.anki21')) {
+            throw new Error('This package uses Anki\'s newer format. In Anki, export again with "Support older Anki versions" ticked.');
+        }
+        if (!entry) throw new Error('No Anki collection in this file');
+
+        const sqlite = _openSqlite(await _unzip(buffer, entry));
+        const col = sqlite.readTable('col')[0];
+        const noteTypes = _noteTypes(sqlite, col);
+
+        const firstCards = new Map();
+        for (const c of sqlite.readTable('cards')) {
+            const seen = firstCards.get(c.nid);
+            if (!seen || c.ord < seen.ord) firstCards.set(c.nid, c);
+        }
+
+        const notes = sqlite.readTable('notes').map(n => ({
+            id: n.id,
+            mid: n.mid,
+            fields: String(n.flds).split(FIELD_SEPARATOR),
+            tags: Tags.parseTagList(n.tags || ''),
+            card: firstCards.get(n.id) || null
+        }));
+        noteTypes.forEach(nt => { nt.count = notes.filter(n => n.mid === nt.id).length; });
+
+        return { noteTypes: noteTypes.filter(nt => nt.count > 0), notes, created: col.crt * 1000 };
+    }
+
+    /**
+     * Plain text of an Anki field: tags stripped, entities decoded, sound
+     * references dropped, whitespace collapsed
+     * @param {string} html - Field HTML
+     * @returns {string}
+     */
+    function htmlToText(html) {
+        const withBreaks = (html || '')
+            .replace(/\[sound:[^\]]*\]/g, '')
+            .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, ' ');
+        const doc = new DOMParser().parseFromString(withBreaks, 'text/html');
+        return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Kapanak scheduling fields for an Anki card. Review cards keep their
+     * interval, ease and due date; the repetition count is chosen so the
+     * next Good continues from the graduated step the interval has reached
+     * (or the mature phase). Learning and relearning cards restart their
+     * minute steps, new cards stay new. Lapse counts carry over, so Anki's
+     * leeches stay close to the threshold here. Cards suspended in Anki are
+     * suspended here too; buried ones are buried until the next study day.
+     * @param {Object} card - Anki card row (type, queue, due, ivl, factor, lapses)
+     * @param {number} created - Collection creation time (ms)
+     * @param {Object} config - Schedule config (SM2.configFor)
+     * @param {Date} [now] - Reference time
+     * @returns {Object} Fields to merge into a new card
+     */
+    function schedulingFor(card, created, config, now = new Date()) {
+        if (!card) return {};
+        // queue -1 = suspended, -2 / -3 = buried (by the scheduler / by hand)
+        const status = card.queue === -1 ? { suspended: true }
+            : card.queue === -2 || card.queue === -3 ? { buriedUntil: DailyLimits.nextDayStart(now).toISOString() }
+            : {};
+        if (card.type === 0) return status;
+        const easeFactor = card.factor > 0 ? Math.max(1.3, card.factor / 1000) : config.startingEase;
+        const lapses = card.lapses || 0;
+        const learningCount = config.learningSteps.length;
+
+        if (card.type !== 2) {
+            return {
+                easeFactor,
+                interval: 0,
+                repetitions: 0,
+                relearnStep: card.type === 3 ? 0 : null,
+                lapses,
+                dueDate: now.toISOString(),
+                lastReviewed: now.toISOString(),
+                ...status
+            };
+        }
+
+        const interval = Math.max(1, card.ivl);
+        const due = new Date(created + card.due * DAY_MS);
+        let step = config.graduatedDays.findIndex(days => days > interval);
+        if (step < 0) step = config.graduatedDays.length;
+        return {
+            easeFactor,
+            interval,
+            repetitions: learningCount + step,
+            lapses,
+            dueDate: due.toISOString(),
+            lastReviewed: new Date(due.getTime() - interval * DAY_MS).toISOString(),
+            ...status
+        };
+    }
+
+    /**
+     * Build card objects from a package
+     * @param {Object} pkg - From readPackage
+     * @param {Object} mappings - Per note type id: { front, back, anchor, example } field indexes (-1 = none)
+     * @param {Object} options
+     * @param {string} options.deckId - Target deck
+     * @param {boolean} options.keepScheduling - Carry over interval, ease and due date
+     * @returns {Array} Card objects (notes with an empty front or back are skipped)
+     */
+    function toCards(pkg, mappings, { deckId, keepScheduling }) {
+        const types = new Map(pkg.noteTypes.map(nt => [nt.id, nt]));
+        const config = SM2.configFor(deckId);
+        const cards = [];
+        for (const note of pkg.notes) {
+            const type = types.get(note.mid);
+            const map = mappings[note.mid];
+            if (!type || !map) continue;
+            const field = i => i >= 0 && note.fields[i] !== undefined ? note.fields[i] : '';
+
+            let front, back;
+            if (type.cloze) {
+                const text = field(map.front);
+                front = htmlToText(text.replace(CLOZE, (m, answer, hint) => hint ? `[${hint}]` : '[…]'));
+                back  = htmlToText(text.replace(CLOZE, '$1'));
+            } else {
+                front = htmlToText(field(map.front));
+                back  = htmlToText(field(map.back));
+            }
+            if (!front || !back) continue;
+
+            const card = {
+                ...CardDB.createCard(front, back, deckId),
+                anchor: htmlToText(field(map.anchor)),
+                example: htmlToText(field(map.example)),
+                tags: note.tags
+            };
+            cards.push(keepScheduling ? { ...card, ...schedulingFor(note.card, pkg.created, config) } : card);
+        }
+        return cards;
+    }
+
+    return {
+        readPackage,
+        htmlToText,
+        schedulingFor,
+        toCards
+    };
+})();
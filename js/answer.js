@@ -0,0 +1,180 @@
+/**
+ * Answer checking for typed-answer study
+ * Compares what the learner typed with the expected side of a card,
+ * produces a character-level diff and suggests a grade.
+ *
+ * - Case and surrounding/inner whitespace are ignored
+ * - The expected field may hold several valid answers separated by ';' or '/'
+ *   ("pies; piesek", "kot/kotka") — the closest one is used
+ * - Lenient diacritics: "zolw" for "żółw" is a near-miss (Hard) instead of a
+ *   miss; in strict mode every missing accent counts as a wrong letter
+ *
+ * Verdicts → suggested quality:
+ *   correct → Good · accent (lenient only) → Hard · typo → Hard · wrong → Again
+ */
+
+// Letters that do not decompose under NFD (ł has no combining form)
+const FOLD_MAP = { 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ø': 'o', 'Ø': 'O', 'ı': 'i', 'ə': 'e', 'Ə': 'E', 'ß': 'ss' };
+
+/**
+ * Strip diacritics ("żółw" → "zolw")
+ * @param {string} text - Input text
+ * @returns {string} Text without accents
+ */
+function foldDiacritics(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[łŁđĐøØıəƏß]/g, ch => FOLD_MAP[ch]);
+}
+
+/**
+ * Normalise an answer for comparison: trim, collapse whitespace, drop
+ * trailing sentence punctuation
+ * @param {string} text - Raw answer
+ * @returns {string}
+ */
+function normalizeAnswer(text) {
+    return (text || '').trim().replace(/\s+/g, ' ').replace(/[.!?]+$/, '');
+}
+
+/**
+ * Split a card side into its accepted answers
+ * @param {string} text - e.g. "pies; piesek" or "kot/kotka"
+ * @returns {Array<string>} Non-empty normalised answers (the whole text if there are no separators)
+ */
+function splitAnswers(text) {
+    const answers = (text || '').split(/[;/]/).map(normalizeAnswer).filter(Boolean);
+    return answers.length > 0 ? answers : [normalizeAnswer(text)];
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Insertions + deletions + substitutions
+ */
+function levenshtein(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(
+                prev[j] + 1,
+                row[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Character diff of a typed answer against the expected one (LCS based)
+ * @param {string} typed - What the learner typed
+ * @param {string} expected - Expected answer
+ * @param {boolean} lenient - Let letters differing only by accent match
+ * @returns {Array<{type: string, char: string}>} Ops in display order:
+ *   'same', 'accent' (matched ignoring accent; char is the expected letter),
+ *   'extra' (typed but not expected), 'missing' (expected but not typed)
+ */
+function diffAnswer(typed, expected, lenient) {
+    const a = [...typed], b = [...expected];
+    const key = ch => lenient ? foldDiacritics(ch.toLowerCase()) : ch.toLowerCase();
+
+    // LCS table, filled from the end so the walk below goes forwards
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = key(a[i]) === key(b[j])
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (key(a[i]) === key(b[j])) {
+            const same = a[i].toLowerCase() === b[j].toLowerCase();
+            ops.push({ type: same ? 'same' : 'accent', char: b[j] });
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ type: 'extra', char: a[i++] });
+        } else {
+            ops.push({ type: 'missing', char: b[j++] });
+        }
+    }
+    while (i < a.length) ops.push({ type: 'extra', char: a[i++] });
+    while (j < b.length) ops.push({ type: 'missing', char: b[j++] });
+    return ops;
+}
+
+// Typos tolerated before an answer counts as wrong: none for short words,
+// one from 5 letters, two from 10
+function _typoAllowance(length) {
+    return Math.floor(length / 5);
+}
+
+/**
+ * Grade a typed answer
+ * @param {string} typed - What the learner typed
+ * @param {string} expectedField - Expected card side (may hold ';' or '/' alternatives)
+ * @param {Object} [options]
+ * @param {boolean} [options.lenient=true] - Treat missing accents as a near-miss
+ * @returns {{verdict: string, quality: number, expected: string, ops: Array}}
+ *   verdict is 'correct' | 'accent' | 'typo' | 'wrong'
+ */
+function checkAnswer(typed, expectedField, { lenient = true } = {}) {
+    const answer = normalizeAnswer(typed);
+    const lower  = answer.toLowerCase();
+    // The whole field stays a candidate so answers like "and/or" still match
+    const alternatives = [...new Set([...splitAnswers(expectedField), normalizeAnswer(expectedField)])];
+    const candidates = alternatives.map(expected => {
+        const exp = expected.toLowerCase();
+        const folded = foldDiacritics(exp) === foldDiacritics(lower);
+        const distance = lenient
+            ? levenshtein(foldDiacritics(lower), foldDiacritics(exp))
+            : levenshtein(lower, exp);
+        let verdict = 'wrong';
+        if (exp === lower)                                          verdict = 'correct';
+        else if (lenient && folded)                                 verdict = 'accent';
+        else if (answer && distance <= _typoAllowance(exp.length))  verdict = 'typo';
+        return { expected, verdict, distance };
+    });
+
+    const rank = { correct: 0, accent: 1, typo: 2, wrong: 3 };
+    candidates.sort((x, y) => rank[x.verdict] - rank[y.verdict] || x.distance - y.distance);
+    const best = candidates[0];
+
+    const quality = best.verdict === 'correct' ? SM2.QUALITY.GOOD
+        : best.verdict === 'wrong' ? SM2.QUALITY.AGAIN
+        : SM2.QUALITY.HARD;
+
+    return {
+        verdict: best.verdict,
+        quality,
+        expected: best.expected,
+        ops: diffAnswer(answer, best.expected, lenient)
+    };
+}
+
+/**
+ * Render diff ops as HTML
+ * @param {Array<{type: string, char: string}>} ops - From diffAnswer
+ * @returns {string} HTML string
+ */
+function renderDiff(ops) {
+    return ops.map(op => `<span class="diff-${op.type}">${UI.escapeHtml(op.char)}</span>`).join('');
+}
+
+window.AnswerCheck = {
+    foldDiacritics,
+    normalizeAnswer,
+    splitAnswers,
+    levenshtein,
+    diffAnswer,
+    checkAnswer,
+    renderDiff
+};
@@ -16,16 +16,24 @@
     async function init() {
         // Initialise modules (order matters — Stats/UI first)
         StatsModule.init();
+        StatisticsModule.init();
+        CardHistory.init();
         StudyModule.init();
         ManageModule.init();
         SettingsModule.init();
+        SnapshotModule.init();
+        SyncModule.init();
+        ExportModule.init();
         NotebookModule.init();
         ImportModule.init();
+        DeckModule.init();
 
         SettingsModule.loadPreferences();
         registerServiceWorker();
+        await DeckModule.refresh();
         await StatsModule.update();
         UI.showScreen('home');
+        SnapshotModule.takeDaily();
 
         // Logo → home
         document.getElementById('logo-btn').addEventListener('click', async () => {
@@ -36,7 +44,8 @@
         // Home study buttons
         document.getElementById('study-btn').addEventListener('click', () => StudyModule.startStudy());
         document.getElementById('practice-btn').addEventListener('click', () => StudyModule.startPractice());
-        document.getElementById('import-btn').addEventListener('click', () => UI.showScreen('import'));
+        document.getElementById('quiz-btn').addEventListener('click', () => StudyModule.startQuiz());
+        document.getElementById('import-btn').addEventListener('click', () => ImportModule.open());
 
         // Version
         document.getElementById('app-version').textContent = `Kapanak v${APP_VERSION}`;
@@ -0,0 +1,239 @@
+/**
+ * Backup file format
+ * Validation, version migration and repair of JSON backups before
+ * CardDB.importData writes them.
+ *
+ * Versions:
+ *   1 — cards only (a bare array or { cards }), no anchors
+ *   2 — { version, exportDate, cards }; later also decks and reviews
+ *   3 — adds media (recordings and anchor images as base64)
+ *
+ * Older files are migrated step by step to the current version. Files from
+ * a newer app version are read as the current version — unknown fields are
+ * ignored — with a warning.
+ *
+ * Validation reports each problem with the card it belongs to, so the
+ * restore dialog can show exactly what is wrong. Repair replaces every
+ * invalid field with the default a new card gets from createCard, drops
+ * cards without front or back text, gives duplicate IDs a fresh one and
+ * clears duplicate notebook coordinates so the card is placed again.
+ */
+window.BackupFormat = (function () {
+    'use strict';
+
+    const VERSION = 3;
+
+    // Each step takes a file of version n and returns version n + 1
+    const MIGRATIONS = {
+        1: data => ({
+            ...data,
+            version: 2,
+            cards: data.cards.map(c => (c && typeof c === 'object' && c.anchor === undefined ? { ...c, anchor: '' } : c))
+        }),
+        2: data => ({
+            ...data,
+            version: 3,
+            decks:   data.decks   || [],
+            reviews: data.reviews || [],
+            media:   data.media   || []
+        })
+    };
+
+    /**
+     * Bring a parsed backup up to the current version
+     * @param {Object|Array} raw - Parsed JSON
+     * @returns {{data: Object, from: number, warnings: Array<string>}}
+     * @throws {Error} If it isn't a backup at all
+     */
+    function migrate(raw) {
+        let data = Array.isArray(raw) ? { version: 1, cards: raw } : raw;
+        if (!data || typeof data !== 'object' || !Array.isArray(data.cards)) {
+            throw new Error('Not a Kapanak backup');
+        }
+        const from = Number.isInteger(data.version) && data.version > 0 ? data.version : 1;
+        const warnings = [];
+        data = { ...data, version: from };
+        if (from > VERSION) {
+            warnings.push(`Made by a newer version of Kapanak (backup format ${from}); anything this version doesn't know is ignored.`);
+            data.version = VERSION;
+        }
+        while (data.version < VERSION) data = MIGRATIONS[data.version](data);
+        if (from < VERSION) warnings.push(`Upgraded from backup format ${from}.`);
+        return { data, from, warnings };
+    }
+
+    // ── validation ───────────────────────────────────────────────────────────
+
+    const isDate = v => typeof v === 'string' && !isNaN(new Date(v).getTime());
+    const isNonNegative = v => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+    const isCount = v => Number.isInteger(v) && v >= 0;
+    const show = v => (v === undefined ? 'missing' : JSON.stringify(v));
+
+    // field → [test, what a valid value is]; optional fields may be absent
+    const CARD_FIELDS = {
+        interval:     [isNonNegative, 'a number of days ≥ 0'],
+        easeFactor:   [v => typeof v === 'number' && v >= 1.3 && v < 100, 'a number ≥ 1.3'],
+        repetitions:  [isCount, 'a whole number ≥ 0'],
+        dueDate:      [isDate, 'a date'],
+        createdAt:    [isDate, 'a date'],
+        lastReviewed: [v => v === null || isDate(v), 'a date or null']
+    };
+    const OPTIONAL_FIELDS = {
+        anchor:  [v => typeof v === 'string', 'text'],
+        example: [v => typeof v === 'string', 'text'],
+        tags:    [v => Array.isArray(v) && v.every(t => typeof t === 'string'), 'a list of tags'],
+        deckId:  [v => v === null || typeof v === 'string', 'a deck ID'],
+        lapses:      [isCount, 'a whole number ≥ 0'],
+        suspended:   [v => typeof v === 'boolean', 'true or false'],
+        buriedUntil: [v => v === null || isDate(v), 'a date or null']
+    };
+
+    /**
+     * Check a migrated backup
+     * @param {Object} data - Backup at the current version
+     * @returns {Array<{card: number|null, id: string|null, front: string, field: string, message: string}>}
+     *   card is the 1-based position in the file (null for file-level problems)
+     */
+    function validate(data) {
+        const problems = [];
+        const report = (index, card, field, message) => problems.push({
+            card: index === null ? null : index + 1,
+            id: card && typeof card.id === 'string' ? card.id : null,
+            front: card && typeof card.front === 'string' ? card.front : '',
+            field,
+            message
+        });
+
+        for (const key of ['decks', 'reviews', 'media']) {
+            if (!Array.isArray(data[key])) report(null, null, key, `${key} should be a list`);
+        }
+        if (Array.isArray(data.decks)) {
+            data.decks.forEach(d => {
+                if (!d || typeof d.id !== 'string' || typeof d.name !== 'string') {
+                    report(null, null, 'decks', `Deck ${show(d && d.name)} has no ID or name`);
+                }
+            });
+        }
+
+        const ids = new Map();        // id → 1-based position of first card with it
+        const slots = new Map();      // 'deck:page:slot' → position
+        data.cards.forEach((card, i) => {
+            if (!card || typeof card !== 'object') { report(i, null, 'card', 'Not a card'); return; }
+
+            if (typeof card.id !== 'string' || !card.id) report(i, card, 'id', 'ID is missing');
+            else if (ids.has(card.id)) report(i, card, 'id', `Same ID as card ${ids.get(card.id)}`);
+            else ids.set(card.id, i + 1);
+
+            for (const side of ['front', 'back']) {
+                if (typeof card[side] !== 'string' || !card[side].trim()) report(i, card, side, `${side[0].toUpperCase() + side.slice(1)} text is empty`);
+            }
+            for (const [field, [test, expected]] of Object.entries(CARD_FIELDS)) {
+                if (!test(card[field])) report(i, card, field, `${field} should be ${expected}, is ${show(card[field])}`);
+            }
+            for (const [field, [test, expected]] of Object.entries(OPTIONAL_FIELDS)) {
+                if (card[field] !== undefined && !test(card[field])) report(i, card, field, `${field} should be ${expected}, is ${show(card[field])}`);
+            }
+
+            // Coordinates are optional (older files) but must be whole, in
+            // range and unique within a deck
+            const { notebookPage: page, notebookSlot: slot } = card;
+            if (page === undefined && slot === undefined) return;
+            if (!isCount(page) || !isCount(slot) || slot >= NOTEBOOK_PAGE_CAPACITY) {
+                report(i, card, 'notebookSlot', `Notebook position ${show(page)}/${show(slot)} is invalid`);
+                return;
+            }
+            const key = `${card.deckId}:${page}:${slot}`;
+            if (slots.has(key)) report(i, card, 'notebookSlot', `Notebook page ${page} slot ${slot} is already used by card ${slots.get(key)}`);
+            else slots.set(key, i + 1);
+        });
+        return problems;
+    }
+
+    // ── repair ───────────────────────────────────────────────────────────────
+
+    /**
+     * Fix what validate() reports
+     * @param {Object} data - Backup at the current version
+     * @returns {{data: Object, fixed: number, removed: number}}
+     *   fixed counts cards that needed a change; removed counts dropped cards
+     */
+    function repair(data) {
+        const ids = new Set();
+        const slots = new Set();
+        const cards = [];
+        let fixed = 0, removed = 0;
+
+        for (const card of data.cards) {
+            const front = card && typeof card.front === 'string' ? card.front.trim() : '';
+            const back  = card && typeof card.back  === 'string' ? card.back.trim()  : '';
+            if (!front || !back) { removed++; continue; }
+
+            const defaults = createCard(front, back, null);
+            const repaired = { ...defaults, ...card, front, back };
+            let changed = false;
+            const reset = field => { repaired[field] = defaults[field]; changed = true; };
+            for (const [field, [test]] of Object.entries(CARD_FIELDS)) {
+                if (!test(card[field])) reset(field);
+            }
+            for (const [field, [test]] of Object.entries(OPTIONAL_FIELDS)) {
+                if (card[field] !== undefined && !test(card[field])) reset(field);
+            }
+            if (typeof card.id !== 'string' || !card.id || ids.has(card.id)) reset('id');
+            ids.add(repaired.id);
+
+            const { notebookPage: page, notebookSlot: slot } = repaired;
+            const key = `${repaired.deckId}:${page}:${slot}`;
+            if (page !== undefined || slot !== undefined) {
+                if (!isCount(page) || !isCount(slot) || slot >= NOTEBOOK_PAGE_CAPACITY || slots.has(key)) {
+                    delete repaired.notebookPage;
+                    delete repaired.notebookSlot;
+                    changed = true;
+                } else {
+                    slots.add(key);
+                }
+            }
+
+            if (changed) fixed++;
+            cards.push(repaired);
+        }
+
+        const valid = (list, test) => (Array.isArray(list) ? list.filter(test) : []);
+        return {
+            data: {
+                ...data,
+                cards,
+                decks:   valid(data.decks, d => d && typeof d.id === 'string' && typeof d.name === 'string'),
+                reviews: valid(data.reviews, r => r && typeof r.cardId === 'string'),
+                media:   valid(data.media, m => m && typeof m.id === 'string')
+            },
+            fixed,
+            removed
+        };
+    }
+
+    /**
+     * Migrate, validate and optionally repair a backup
+     * @param {Object|Array} raw - Parsed JSON
+     * @param {Object} [options]
+     * @param {boolean} [options.repair=false] - Fix problems instead of only reporting them
+     * @returns {{data: Object, from: number, warnings: Array<string>, problems: Array<Object>,
+     *   fixed: number, removed: number}} problems left after repair (none when repairing)
+     */
+    function check(raw, { repair: shouldRepair = false } = {}) {
+        const { data, from, warnings } = migrate(raw);
+        const problems = validate(data);
+        if (!shouldRepair || problems.length === 0) {
+            return { data, from, warnings, problems, fixed: 0, removed: 0 };
+        }
+        const result = repair(data);
+        return { ...result, from, warnings, problems: validate(result.data) };
+    }
+
+    return {
+        check,
+        migrate,
+        validate,
+        repair,
+        VERSION
+    };
+})();
@@ -0,0 +1,163 @@
+/**
+ * Charts
+ * Small SVG / HTML chart builders for the Statistics screen. No chart
+ * library, so they work offline from the service worker cache like the
+ * rest of the app. Every builder returns an HTML string; colours come from
+ * CSS classes (see "Statistics" in style.css) so both themes apply.
+ */
+
+// Heatmap geometry (SVG user units)
+const HEATMAP_CELL = 10;
+const HEATMAP_GAP = 2;
+const HEATMAP_LABEL_HEIGHT = 12;
+
+// Bar chart geometry (SVG user units; scaled to the container width)
+const BAR_CHART_WIDTH = 320;
+const BAR_CHART_HEIGHT = 100;
+
+/**
+ * Local calendar date as 'YYYY-MM-DD'
+ * @param {Date|string} date - Date or ISO string
+ * @returns {string}
+ */
+function dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Intensity level 0–4 for a count relative to the busiest day
+ * @param {number} count - Value
+ * @param {number} max - Largest value shown
+ * @returns {number}
+ */
+function _heatLevel(count, max) {
+    if (count <= 0 || max <= 0) return 0;
+    return Math.min(4, Math.ceil((count / max) * 4));
+}
+
+/**
+ * Calendar heatmap: one column per week (Monday on top), one cell per day,
+ * ending with the current week
+ * @param {Map<string, number>} counts - dayKey → count
+ * @param {Object} [options]
+ * @param {number} [options.weeks=53] - Weeks shown
+ * @param {Function} [options.describe] - (count, date) → cell tooltip
+ * @returns {string} SVG
+ */
+function renderHeatmap(counts, { weeks = 53, describe = (n, d) => `${d.toDateString()}: ${n}` } = {}) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const start = new Date(today);
+    start.setDate(start.getDate() - ((today.getDay() + 6) % 7) - (weeks - 1) * 7);
+
+    const max = Math.max(0, ...counts.values());
+    const step = HEATMAP_CELL + HEATMAP_GAP;
+    const cells = [], months = [];
+    let lastMonth = -1;
+    for (let week = 0; week < weeks; week++) {
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const date = new Date(start);
+            date.setDate(start.getDate() + week * 7 + weekday);
+            if (date > today) break;
+            if (weekday === 0 && date.getMonth() !== lastMonth) {
+                lastMonth = date.getMonth();
+                months.push(`<text class="chart-label" x="${week * step}" y="${HEATMAP_LABEL_HEIGHT - 3}">${date.toLocaleDateString(undefined, { month: 'short' })}</text>`);
+            }
+            const count = counts.get(dayKey(date)) || 0;
+            cells.push(`<rect class="heat-${_heatLevel(count, max)}" x="${week * step}" y="${HEATMAP_LABEL_HEIGHT + weekday * step}" width="${HEATMAP_CELL}" height="${HEATMAP_CELL}" rx="2"><title>${UI.escapeHtml(describe(count, date))}</title></rect>`);
+        }
+    }
+    const width = weeks * step - HEATMAP_GAP;
+    const height = HEATMAP_LABEL_HEIGHT + 7 * step - HEATMAP_GAP;
+    return `<svg class="chart chart-heatmap" viewBox="0 0 ${width} ${height}" role="img">${months.join('')}${cells.join('')}</svg>`;
+}
+
+/**
+ * Vertical bar chart with the largest value marked and the first and last
+ * labels underneath. A bar's `extra` is stacked on top in a second colour.
+ * @param {Array<{label: string, value: number, extra?: number}>} bars - In display order
+ * @param {Object} [options]
+ * @param {Function} [options.format] - value → text for tooltips and the max line
+ * @param {string} [options.className] - Extra class for the bars' colour
+ * @returns {string} HTML
+ */
+function renderBarChart(bars, { format = v => String(v), className = '' } = {}) {
+    const max = Math.max(0, ...bars.map(b => b.value + (b.extra || 0)));
+    const width = BAR_CHART_WIDTH / Math.max(1, bars.length);
+    const gap = width > 4 ? 1 : 0;
+    const rects = bars.map((bar, i) => {
+        const h = max > 0 ? (bar.value / max) * BAR_CHART_HEIGHT : 0;
+        const extraH = max > 0 && bar.extra ? (bar.extra / max) * BAR_CHART_HEIGHT : 0;
+        const title = `${bar.label}: ${format(bar.value)}` + (bar.extra ? ` + ${format(bar.extra)}` : '');
+        const rect = (cls, y, height) => `<rect class="${cls}" x="${i * width}" y="${y}" width="${Math.max(0.5, width - gap)}" height="${height}"><title>${UI.escapeHtml(title)}</title></rect>`;
+        return rect(`chart-bar ${className}`, BAR_CHART_HEIGHT - h, h)
+            + (extraH ? rect('chart-bar chart-bar-extra', BAR_CHART_HEIGHT - h - extraH, extraH) : '');
+    }).join('');
+    const first = bars.length ? bars[0].label : '';
+    const last = bars.length ? bars[bars.length - 1].label : '';
+    return `
+        <div class="chart-wrap">
+            <span class="chart-max">${max > 0 ? UI.escapeHtml(format(max)) : ''}</span>
+            <svg class="chart chart-bars" viewBox="0 0 ${BAR_CHART_WIDTH} ${BAR_CHART_HEIGHT}" preserveAspectRatio="none" role="img">
+                <line class="chart-axis" x1="0" y1="${BAR_CHART_HEIGHT}" x2="${BAR_CHART_WIDTH}" y2="${BAR_CHART_HEIGHT}"></line>
+                ${rects}
+            </svg>
+            <div class="chart-range"><span>${UI.escapeHtml(first)}</span><span>${UI.escapeHtml(last)}</span></div>
+        </div>`;
+}
+
+/**
+ * Line chart of a value over successive points (evenly spaced, not by
+ * time), scaled between the smallest and largest value
+ * @param {Array<{label: string, value: number}>} points - In display order
+ * @param {Object} [options]
+ * @param {Function} [options.format] - value → text for tooltips and the range line
+ * @param {string} [options.className] - Extra class for the line's colour
+ * @returns {string} HTML
+ */
+function renderLineChart(points, { format = v => String(v), className = '' } = {}) {
+    const values = points.map(p => p.value);
+    const min = Math.min(...values), max = Math.max(...values);
+    const pad = 4;  // keeps dots at the edges inside the box
+    const x = i => points.length > 1 ? pad + (i / (points.length - 1)) * (BAR_CHART_WIDTH - 2 * pad) : BAR_CHART_WIDTH / 2;
+    const y = v => max > min ? pad + (1 - (v - min) / (max - min)) * (BAR_CHART_HEIGHT - 2 * pad) : BAR_CHART_HEIGHT / 2;
+    const line = points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ');
+    const dots = points.map((p, i) => `<circle class="chart-dot ${className}" cx="${x(i)}" cy="${y(p.value)}" r="3"><title>${UI.escapeHtml(`${p.label}: ${format(p.value)}`)}</title></circle>`).join('');
+    const first = points.length ? points[0].label : '';
+    const last = points.length ? points[points.length - 1].label : '';
+    return `
+        <div class="chart-wrap">
+            <span class="chart-max">${points.length ? UI.escapeHtml(min === max ? format(max) : `${format(min)} – ${format(max)}`) : ''}</span>
+            <svg class="chart chart-line" viewBox="0 0 ${BAR_CHART_WIDTH} ${BAR_CHART_HEIGHT}" role="img">
+                <polyline class="chart-path ${className}" points="${line}"></polyline>
+                ${dots}
+            </svg>
+            <div class="chart-range"><span>${UI.escapeHtml(first)}</span><span>${UI.escapeHtml(last)}</span></div>
+        </div>`;
+}
+
+/**
+ * Horizontal stacked bar with a legend, for shares of a whole
+ * @param {Array<{label: string, value: number, className: string}>} segments
+ * @returns {string} HTML
+ */
+function renderBreakdown(segments) {
+    const total = segments.reduce((sum, s) => sum + s.value, 0);
+    const pct = v => (total > 0 ? Math.round((v / total) * 100) : 0);
+    return `
+        <div class="chart-breakdown">
+            ${segments.map(s => `<div class="chart-segment ${s.className}" style="width: ${total > 0 ? (s.value / total) * 100 : 0}%"></div>`).join('')}
+        </div>
+        <div class="chart-legend">
+            ${segments.map(s => `<span class="chart-legend-item"><span class="chart-swatch ${s.className}"></span>${UI.escapeHtml(s.label)} ${s.value} (${pct(s.value)}%)</span>`).join('')}
+        </div>`;
+}
+
+window.Charts = {
+    dayKey,
+    renderHeatmap,
+    renderBarChart,
+    renderLineChart,
+    renderBreakdown
+};
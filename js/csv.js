@@ -0,0 +1,208 @@
+/**
+ * Delimited-file parser for the CSV / TSV importer
+ *
+ * - RFC 4180 quoting: fields in double quotes may contain the delimiter,
+ *   line breaks and doubled quotes ("say ""hi""")
+ * - Delimiter auto-detection among comma, tab, semicolon and pipe
+ * - Columns are mapped to card fields (front, back, anchor, tags, example)
+ *   by header name or position; rows are validated one by one so the
+ *   preview can show what will be skipped and why
+ * - Anki "Notes in Plain Text" exports are recognised by their leading
+ *   `#key:value` lines (separator, html, columns, tags column)
+ * - formatDelimited writes the same format back out for the exporter
+ */
+
+const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+// Card fields a column can map to ('' = ignore the column)
+const CSV_FIELDS = ['front', 'back', 'anchor', 'tags', 'example'];
+
+// Anki plain-text export separators by name
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+// Header names recognised per field (compared lowercase, accents folded)
+const CSV_HEADER_NAMES = {
+    front:   ['front', 'question', 'word', 'term', 'prompt', 'polish', 'pl'],
+    back:    ['back', 'answer', 'translation', 'meaning', 'definition', 'english', 'en'],
+    anchor:  ['anchor', 'mnemonic', 'memory anchor', 'hint', 'note', 'notes'],
+    tags:    ['tags', 'tag', 'labels'],
+    example: ['example', 'examples', 'sentence', 'example sentence', 'usage']
+};
+
+/**
+ * Split delimited text into rows of fields
+ * @param {string} text - File contents
+ * @param {string} delimiter - Single character
+ * @returns {Array<Array<string>>} Rows (blank lines dropped), fields untrimmed
+ */
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    const src = (text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Join rows of fields into delimited text, quoting fields that contain the
+ * delimiter, quotes, line breaks or edge whitespace (the inverse of
+ * parseDelimited)
+ * @param {Array<Array<string>>} rows - Rows of fields
+ * @param {string} delimiter - Single character
+ * @returns {string} Lines joined with CRLF
+ */
+function formatDelimited(rows, delimiter) {
+    const quote = field => {
+        const text = String(field ?? '');
+        const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+        return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(quote).join(delimiter)).join('\r\n');
+}
+
+/**
+ * Guess the delimiter: the candidate that splits the first lines into the
+ * most consistent number of columns (ties go to the earlier candidate)
+ * @param {string} text - File contents
+ * @returns {string} Delimiter character (',' if nothing fits)
+ */
+function detectDelimiter(text) {
+    const sample = (text || '').split(/\r?\n/).filter(l => l.trim()).slice(0, 10).join('\n');
+    let best = ',', bestScore = 0;
+    for (const delimiter of CSV_DELIMITERS) {
+        const counts = parseDelimited(sample, delimiter).map(r => r.length);
+        if (counts.length === 0 || Math.max(...counts) < 2) continue;
+        const common = counts.filter(c => c === counts[0]).length / counts.length;
+        const score = common * Math.min(counts[0], 6);
+        if (score > bestScore) { best = delimiter; bestScore = score; }
+    }
+    return best;
+}
+
+/**
+ * Split off the `#key:value` lines Anki puts at the top of a plain-text
+ * export (#separator:tab, #html:true, #columns:Front\tBack, #tags column:3)
+ * @param {string} text - File contents
+ * @returns {{text: string, delimiter: string|null, html: boolean,
+ *   columns: Array<string>|null, tagsColumn: number|null, ignoreColumns: Array<number>}}
+ *   text without the directive lines; column numbers are 0-based;
+ *   ignoreColumns are the guid / notetype / deck columns
+ */
+function readDirectives(text) {
+    const lines = (text || '').split(/\r?\n/);
+    const result = { text: '', delimiter: null, html: false, columns: null, tagsColumn: null, ignoreColumns: [] };
+    let i = 0;
+    for (; i < lines.length; i++) {
+        const match = lines[i].match(/^#([a-z ]+):(.*)$/i);
+        if (!match) break;
+        const [, key, value] = match;
+        if (key === 'separator') result.delimiter = ANKI_SEPARATORS[value.trim().toLowerCase()] || value;
+        else if (key === 'html') result.html = value.trim() === 'true';
+        else if (key === 'tags column') result.tagsColumn = parseInt(value, 10) - 1;
+        else if (key === 'columns') result.columns = value;
+        else if (/^(guid|notetype|deck) column$/.test(key)) result.ignoreColumns.push(parseInt(value, 10) - 1);
+    }
+    result.text = lines.slice(i).join('\n');
+    if (result.columns !== null) {
+        result.columns = parseDelimited(result.columns, result.delimiter || detectDelimiter(result.columns))[0] || null;
+    }
+    return result;
+}
+
+function _headerField(name) {
+    const key = AnswerCheck.foldDiacritics(name.trim().toLowerCase());
+    return CSV_FIELDS.find(f => CSV_HEADER_NAMES[f].includes(key)) || null;
+}
+
+/**
+ * Does the first row look like column names rather than a card?
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @returns {boolean} True if at least two first-row cells are known field names
+ */
+function looksLikeHeader(rows) {
+    if (rows.length === 0) return false;
+    return rows[0].filter(cell => _headerField(cell)).length >= 2;
+}
+
+/**
+ * Default column → field mapping: by header name when there is a header,
+ * otherwise front, back, then anchor, tags, example in order
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {boolean} hasHeader - First row holds column names
+ * @returns {Array<string>} One field name per column ('' = ignore)
+ */
+function guessMapping(rows, hasHeader) {
+    const columns = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    const mapping = new Array(columns).fill('');
+    if (hasHeader) {
+        rows[0].forEach((cell, i) => {
+            const field = _headerField(cell);
+            if (field && !mapping.includes(field)) mapping[i] = field;
+        });
+        if (mapping.includes('front') && mapping.includes('back')) return mapping;
+        mapping.fill('');
+    }
+    CSV_FIELDS.slice(0, columns).forEach((field, i) => { mapping[i] = field; });
+    return mapping;
+}
+
+/**
+ * Turn rows into card fields using a mapping
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {Array<string>} mapping - Field per column
+ * @param {boolean} hasHeader - Skip the first row
+ * @returns {Array<{line: number, fields: Object|null, error: string|null}>}
+ *   line is 1-based in the file's rows; fields is { front, back, anchor, tags, example }
+ */
+function mapRows(rows, mapping, hasHeader) {
+    const body = hasHeader ? rows.slice(1) : rows;
+    return body.map((row, i) => {
+        const line = i + 1 + (hasHeader ? 1 : 0);
+        const fields = { front: '', back: '', anchor: '', tags: [], example: '' };
+        mapping.forEach((field, col) => {
+            if (!field || row[col] === undefined) return;
+            const value = row[col].trim();
+            if (field === 'tags') fields.tags = Tags.parseTagList(value);
+            else fields[field] = value;
+        });
+
+        let error = null;
+        if (!mapping.includes('front') || !mapping.includes('back')) error = 'Map a Front and a Back column';
+        else if (!fields.front) error = 'Front is empty';
+        else if (!fields.back) error = 'Back is empty';
+        return { line, fields: error ? null : fields, error };
+    });
+}
+
+window.CSVParser = {
+    parseDelimited,
+    formatDelimited,
+    detectDelimiter,
+    looksLikeHeader,
+    guessMapping,
+    mapRows,
+    readDirectives,
+    DELIMITERS: CSV_DELIMITERS,
+    FIELDS: CSV_FIELDS
+};
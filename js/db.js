@@ -42,6 +42,154 @@ db.version(3).stores({
     }
 });
 
+// Version 4 — per-review history. One row per answer; cards themselves still
+// hold only the current scheduling state, so this is the only place past
+// answers survive.
+db.version(4).stores({
+    cards: 'id, dueDate, createdAt, notebookPage',
+    reviews: '++id, cardId, timestamp'
+});
+
+// Name given to the deck that holds cards created before decks existed.
+const DEFAULT_DECK_NAME = 'My Cards';
+
+// Version 5 — decks. Every card belongs to exactly one deck and notebook
+// coordinates become per-deck: each deck has its own page numbering starting
+// at 0. Existing cards move into a default deck with their coordinates
+// untouched, so the notebook looks exactly as before.
+db.version(5).stores({
+    cards: 'id, dueDate, createdAt, notebookPage, deckId, [deckId+notebookPage]',
+    reviews: '++id, cardId, timestamp',
+    decks: 'id, name'
+}).upgrade(async tx => {
+    const deck = createDeck({ name: DEFAULT_DECK_NAME });
+    await tx.table('decks').add(deck);
+    await tx.table('cards').toCollection().modify(card => { card.deckId = deck.id; });
+});
+
+// Version 6 — free-form tags. `*tags` is a multi-entry index, so a card
+// tagged ['verbs', 'lesson-7'] is found by either tag.
+db.version(6).stores({
+    cards: 'id, dueDate, createdAt, notebookPage, deckId, [deckId+notebookPage], *tags',
+    reviews: '++id, cardId, timestamp',
+    decks: 'id, name'
+}).upgrade(tx => {
+    return tx.table('cards').toCollection().modify(card => {
+        if (card.tags === undefined) card.tags = [];
+    });
+});
+
+// Version 7 — media attachments. Blobs live in their own table so card
+// queries never load them; a card points at its recording via `audioId`
+// and at its anchor image via `imageId`. Cards without media are
+// untouched, so there is no upgrade handler.
+db.version(7).stores({
+    cards: 'id, dueDate, createdAt, notebookPage, deckId, [deckId+notebookPage], *tags',
+    reviews: '++id, cardId, timestamp',
+    decks: 'id, name',
+    media: 'id, cardId, [cardId+kind]'
+});
+
+// Card fields sync compares as a unit: each group has its own timestamp in
+// `fieldModifiedAt`, so a front edited on one device and a review done on
+// another both survive. Scheduling state and notebook placement only make
+// sense as a whole. Media references stay on their device (media is not
+// synced), as do id and createdAt, which never change. `status` holds what
+// the learner set by hand (suspended, buried), separate from review outcomes.
+const SYNC_FIELD_GROUPS = {
+    front:    ['front'],
+    back:     ['back'],
+    anchor:   ['anchor'],
+    example:  ['example'],
+    tags:     ['tags'],
+    place:    ['deckId', 'notebookPage', 'notebookSlot'],
+    schedule: ['interval', 'easeFactor', 'repetitions', 'dueDate', 'lastReviewed',
+        'relearnStep', 'stability', 'difficulty', 'lapses'],
+    status:   ['suspended', 'buriedUntil']
+};
+
+// Version 8 — change tracking for sync. Cards and decks get an indexed
+// `modifiedAt`, so everything changed since the last sync is one range
+// query; cards also get `fieldModifiedAt` (one timestamp per
+// SYNC_FIELD_GROUPS entry). Deletions leave a row in `tombstones`. The
+// upgrade dates existing content by createdAt and scheduling state by
+// lastReviewed, so the first sync between two devices keeps the more
+// recently reviewed copy.
+db.version(8).stores({
+    cards: 'id, dueDate, createdAt, notebookPage, deckId, [deckId+notebookPage], *tags, modifiedAt',
+    reviews: '++id, cardId, timestamp',
+    decks: 'id, name, modifiedAt',
+    media: 'id, cardId, [cardId+kind]',
+    tombstones: 'key, deletedAt'
+}).upgrade(async tx => {
+    tx.keepTimestamps = true;
+    await tx.table('decks').toCollection().modify(deck => { deck.modifiedAt = deck.createdAt; });
+    await tx.table('cards').toCollection().modify(card => {
+        card.modifiedAt = card.lastReviewed || card.createdAt;
+        card.fieldModifiedAt = {};
+        for (const group of Object.keys(SYNC_FIELD_GROUPS)) card.fieldModifiedAt[group] = card.createdAt;
+        card.fieldModifiedAt.schedule = card.modifiedAt;
+    });
+});
+
+// Version 9 — leeches. Cards count their lapses (Again after having been
+// answered correctly, see Retention.isLapse) and can be suspended. The
+// upgrade counts lapses from the review log, so cards keep their history;
+// a derived value, so timestamps are kept and nothing is re-synced.
+db.version(9).stores({
+    cards: 'id, dueDate, createdAt, notebookPage, deckId, [deckId+notebookPage], *tags, modifiedAt',
+    reviews: '++id, cardId, timestamp',
+    decks: 'id, name, modifiedAt',
+    media: 'id, cardId, [cardId+kind]',
+    tombstones: 'key, deletedAt'
+}).upgrade(async tx => {
+    tx.keepTimestamps = true;
+    const lapses = new Map();
+    await tx.table('reviews').each(r => {
+        // 0 = Again (SM2.QUALITY.AGAIN; sm2.js loads after this file)
+        if (r.quality === 0 && !r.isNew && r.prevRepetitions > 0) lapses.set(r.cardId, (lapses.get(r.cardId) || 0) + 1);
+    });
+    await tx.table('cards').toCollection().modify(card => {
+        card.lapses = lapses.get(card.id) || 0;
+        card.suspended = false;
+        if (card.fieldModifiedAt) card.fieldModifiedAt.status = card.createdAt;
+    });
+});
+
+// Stamp every write with the time it was made. Transactions that write
+// records carrying their own timestamps (sync, the v8 and v9 upgrades) set
+// `keepTimestamps` on the transaction.
+db.cards.hook('creating', (id, card, tx) => {
+    if (tx.keepTimestamps && card.modifiedAt) return;
+    const now = new Date().toISOString();
+    card.modifiedAt = now;
+    card.fieldModifiedAt = {};
+    for (const group of Object.keys(SYNC_FIELD_GROUPS)) card.fieldModifiedAt[group] = now;
+});
+
+db.cards.hook('updating', (mods, id, card, tx) => {
+    if (tx.keepTimestamps) return undefined;
+    const fields = Object.keys(mods);
+    const groups = Object.keys(SYNC_FIELD_GROUPS).filter(g => SYNC_FIELD_GROUPS[g].some(f => fields.includes(f)));
+    if (groups.length === 0) return undefined;
+    const now = new Date().toISOString();
+    const fieldModifiedAt = { ...card.fieldModifiedAt };
+    for (const group of groups) fieldModifiedAt[group] = now;
+    return { modifiedAt: now, fieldModifiedAt };
+});
+
+db.decks.hook('creating', (id, deck, tx) => {
+    if (!(tx.keepTimestamps && deck.modifiedAt)) deck.modifiedAt = new Date().toISOString();
+});
+
+db.decks.hook('updating', (mods, id, deck, tx) =>
+    (tx.keepTimestamps ? undefined : { modifiedAt: new Date().toISOString() }));
+
+// Fresh installs skip upgrade handlers, so seed the default deck here.
+db.on('populate', tx => {
+    tx.table('decks').add(createDeck({ name: DEFAULT_DECK_NAME }));
+});
+
 /**
  * Compute the next (notebookPage, notebookSlot) for an incoming card and
  * mutate the running state accordingly.
@@ -83,14 +231,16 @@ function generateUUID() {
  * Create a new flashcard with initial SM-2 values
  * @param {string} front - Front text of the card
  * @param {string} back - Back text of the card
+ * @param {string} [deckId] - Deck the card belongs to
  * @returns {Object} New card object
  */
-function createCard(front, back) {
+function createCard(front, back, deckId = null) {
     const now = new Date();
     return {
         id: generateUUID(),
         front: front,
         back: back,
+        deckId: deckId,
         // SM-2 algorithm fields
         interval: 0,           // Days until next review
         easeFactor: 2.5,       // Difficulty factor (2.5 is default)
@@ -98,10 +248,54 @@ function createCard(front, back) {
         dueDate: now.toISOString(),
         lastReviewed: null,
         createdAt: now.toISOString(),
-        anchor: ''          // Memory mnemonic / visual image note
+        lapses: 0,             // Times forgotten after being learned
+        suspended: false,      // Left out of study until unsuspended
+        buriedUntil: null,     // ISO date; left out of study until then
+        anchor: '',         // Memory mnemonic / visual image note
+        example: '',        // Example sentence (optional)
+        tags: []            // Normalised tags, see tags.js
     };
 }
 
+/**
+ * Create a new deck object (not yet saved)
+ * @param {Object} fields - name, description, frontLang, backLang
+ * @returns {Object} New deck object
+ */
+function createDeck({ name, description = '', frontLang = '', backLang = '' }) {
+    return {
+        id: generateUUID(),
+        name: name,
+        description: description,
+        frontLang: frontLang,   // BCP 47 tag of the front side, e.g. 'pl-PL'
+        backLang: backLang,     // BCP 47 tag of the back side, e.g. 'en-US'
+        settings: {},           // Per-deck overrides of global preferences
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Read the placement state of one deck's notebook: its frontmost page and
+ * how many slots of that page are used. Must run inside a transaction that
+ * includes db.cards.
+ *
+ * The used count is derived from the lowest occupied slot rather than the
+ * number of cards, so a deleted card on the front page stays a hole instead
+ * of having its slot handed out again.
+ *
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<{maxPage:number|null, frontPageFilledCount:number}>}
+ */
+async function _placementState(deckId) {
+    const last = await db.cards.where('[deckId+notebookPage]')
+        .between([deckId, Dexie.minKey], [deckId, Dexie.maxKey]).last();
+    if (!last) return { maxPage: null, frontPageFilledCount: 0 };
+    const onPage = await db.cards.where('[deckId+notebookPage]')
+        .equals([deckId, last.notebookPage]).toArray();
+    const lowestSlot = Math.min(...onPage.map(c => c.notebookSlot));
+    return { maxPage: last.notebookPage, frontPageFilledCount: NOTEBOOK_PAGE_CAPACITY - lowestSlot };
+}
+
 /**
  * Add multiple cards to the database
  * @param {Array} cards - Array of card objects
@@ -113,66 +307,196 @@ async function addCards(cards) {
 
 /**
  * Add cards while assigning each a permanent (notebookPage, notebookSlot)
- * coordinate per the placement rule in _nextSlot. Runs in a single
- * transaction so concurrent imports cannot race on the frontmost page.
+ * coordinate per the placement rule in _nextSlot, within the notebook of
+ * the card's own deck. Runs in a single transaction so concurrent imports
+ * cannot race on the frontmost page.
  *
- * @param {Array} cards - Array of card objects (without notebook coords)
+ * @param {Array} cards - Array of card objects (with deckId, without notebook coords)
  * @returns {Promise<number>} Number of cards added
  */
 async function addCardsWithPlacement(cards) {
     return await db.transaction('rw', db.cards, async () => {
-        const lastByPage = await db.cards.orderBy('notebookPage').last();
-        let state;
-        if (!lastByPage || lastByPage.notebookPage === undefined) {
-            state = { maxPage: null, frontPageFilledCount: 0 };
-        } else {
-            const count = await db.cards
-                .where('notebookPage').equals(lastByPage.notebookPage).count();
-            state = { maxPage: lastByPage.notebookPage, frontPageFilledCount: count };
+        const states = new Map();
+        const placed = [];
+        for (const c of cards) {
+            if (!states.has(c.deckId)) states.set(c.deckId, await _placementState(c.deckId));
+            placed.push({ ...c, ..._nextSlot(states.get(c.deckId)) });
         }
-        const placed = cards.map(c => ({ ...c, ..._nextSlot(state) }));
         return await db.cards.bulkAdd(placed);
     });
 }
 
+/**
+ * Save an import: add the new cards (placed as in addCardsWithPlacement)
+ * and merge suspected duplicates into existing cards, in one transaction so
+ * a failure half-way leaves the database untouched
+ * @param {Array} cards - New cards
+ * @param {Array<{id: string, updates: Object}>} merges - Fields to set on existing cards
+ * @returns {Promise<void>}
+ */
+async function addImportedCards(cards, merges) {
+    return await db.transaction('rw', db.cards, async () => {
+        if (cards.length > 0) await addCardsWithPlacement(cards);
+        for (const { id, updates } of merges) await db.cards.update(id, updates);
+    });
+}
+
+/**
+ * Move a card to another deck. The card gets the next free slot in the
+ * target deck's notebook — coordinates are only stable within a deck.
+ * @param {string} id - Card ID
+ * @param {string} deckId - Target deck ID
+ * @returns {Promise<number>} Number of updated records
+ */
+async function moveCardToDeck(id, deckId) {
+    return await db.transaction('rw', db.cards, async () => {
+        const card = await db.cards.get(id);
+        if (!card || card.deckId === deckId) return 0;
+        const coords = _nextSlot(await _placementState(deckId));
+        return await db.cards.update(id, { deckId, ...coords });
+    });
+}
+
+/**
+ * Scope a cards query to one deck
+ * @param {string} [deckId] - Deck ID; falsy means all decks
+ * @returns {Dexie.Collection|Dexie.Table}
+ */
+function _cardsIn(deckId) {
+    return deckId ? db.cards.where('deckId').equals(deckId) : db.cards;
+}
+
 /**
  * Get all cards from the database
+ * @param {string} [deckId] - Limit to one deck
  * @returns {Promise<Array>} All cards
  */
-async function getAllCards() {
-    return await db.cards.toArray();
+async function getAllCards(deckId) {
+    return await _cardsIn(deckId).toArray();
 }
 
 /**
- * Get cards due for review (dueDate <= now)
+ * Whether a card is kept out of study: suspended, or buried until a time
+ * still ahead
+ * @param {Object} card - Card
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+function isParked(card, now = new Date()) {
+    return !!card.suspended || (!!card.buriedUntil && new Date(card.buriedUntil) > now);
+}
+
+/**
+ * Get cards due for review (dueDate <= now), leaving out suspended and
+ * buried cards
+ * @param {string} [deckId] - Limit to one deck
  * @returns {Promise<Array>} Cards due for review
  */
-async function getDueCards() {
-    const now = new Date().toISOString();
-    return await db.cards
+async function getDueCards(deckId) {
+    const now = new Date();
+    const due = db.cards
         .where('dueDate')
-        .belowOrEqual(now)
-        .toArray();
+        .belowOrEqual(now.toISOString())
+        .and(c => !isParked(c, now));
+    return await (deckId ? due.and(c => c.deckId === deckId) : due).toArray();
 }
 
 /**
  * Get count of cards due for review
+ * @param {string} [deckId] - Limit to one deck
  * @returns {Promise<number>} Count of due cards
  */
-async function getDueCount() {
-    const now = new Date().toISOString();
-    return await db.cards
+async function getDueCount(deckId) {
+    const now = new Date();
+    const due = db.cards
         .where('dueDate')
-        .belowOrEqual(now)
-        .count();
+        .belowOrEqual(now.toISOString())
+        .and(c => !isParked(c, now));
+    return await (deckId ? due.and(c => c.deckId === deckId) : due).count();
 }
 
 /**
  * Get total count of cards
+ * @param {string} [deckId] - Limit to one deck
  * @returns {Promise<number>} Total card count
  */
-async function getTotalCount() {
-    return await db.cards.count();
+async function getTotalCount(deckId) {
+    return await _cardsIn(deckId).count();
+}
+
+/**
+ * Get cards carrying a tag (uses the multi-entry tags index)
+ * @param {string} tag - Normalised tag
+ * @param {string} [deckId] - Limit to one deck
+ * @returns {Promise<Array>} Matching cards
+ */
+async function getCardsWithTag(tag, deckId) {
+    const tagged = db.cards.where('tags').equals(tag);
+    return await (deckId ? tagged.and(c => c.deckId === deckId) : tagged).toArray();
+}
+
+/**
+ * Get all decks, sorted by name
+ * @returns {Promise<Array>} All decks
+ */
+async function getDecks() {
+    const decks = await db.decks.toArray();
+    const collator = new Intl.Collator('pl', { sensitivity: 'base' });
+    return decks.sort((a, b) => collator.compare(a.name, b.name));
+}
+
+/**
+ * Get a single deck by ID
+ * @param {string} id - Deck ID
+ * @returns {Promise<Object>} Deck object
+ */
+async function getDeck(id) {
+    return await db.decks.get(id);
+}
+
+/**
+ * Save a new deck
+ * @param {Object} deck - Deck from createDeck
+ * @returns {Promise<string>} Deck ID
+ */
+async function addDeck(deck) {
+    return await db.decks.add(deck);
+}
+
+/**
+ * Update a deck
+ * @param {string} id - Deck ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<number>} Number of updated records
+ */
+async function updateDeck(id, updates) {
+    return await db.decks.update(id, updates);
+}
+
+/**
+ * Record a deletion for sync to pass on
+ * @param {string} kind - 'card' | 'deck' | 'review'
+ * @param {string} id - Card or deck ID; for reviews 'cardId:timestamp'
+ * @returns {{key: string, kind: string, id: string, deletedAt: string}}
+ */
+function _tombstone(kind, id) {
+    return { key: `${kind}:${id}`, kind, id, deletedAt: new Date().toISOString() };
+}
+
+/**
+ * Delete a deck together with its cards and their review history
+ * @param {string} id - Deck ID
+ * @returns {Promise<void>}
+ */
+async function deleteDeck(id) {
+    return await db.transaction('rw', db.decks, db.cards, db.reviews, db.media, db.tombstones, async () => {
+        const cardIds = await db.cards.where('deckId').equals(id).primaryKeys();
+        await db.reviews.where('cardId').anyOf(cardIds).delete();
+        await db.media.where('cardId').anyOf(cardIds).delete();
+        await db.cards.bulkDelete(cardIds);
+        await db.decks.delete(id);
+        await db.tombstones.bulkPut([...cardIds.map(c => _tombstone('card', c)), _tombstone('deck', id)]);
+    });
 }
 
 /**
@@ -185,6 +509,15 @@ async function updateCard(id, updates) {
     return await db.cards.update(id, updates);
 }
 
+/**
+ * Apply a change to every card in one pass (used when switching schedulers)
+ * @param {Function} modifier - Called with each card; returns fields to merge
+ * @returns {Promise<number>} Number of modified records
+ */
+async function modifyAllCards(modifier) {
+    return await db.cards.toCollection().modify(card => { Object.assign(card, modifier(card)); });
+}
+
 /**
  * Get a single card by ID
  * @param {string} id - Card ID
@@ -195,85 +528,663 @@ async function getCard(id) {
 }
 
 /**
- * Delete a single card by ID
+ * Delete a single card by ID (and its review history and media)
  * @param {string} id - Card ID to delete
  * @returns {Promise<void>}
  */
 async function deleteCard(id) {
-    return await db.cards.delete(id);
+    return await db.transaction('rw', db.cards, db.reviews, db.media, db.tombstones, async () => {
+        await db.reviews.where('cardId').equals(id).delete();
+        await db.media.where('cardId').equals(id).delete();
+        await db.cards.delete(id);
+        await db.tombstones.put(_tombstone('card', id));
+    });
 }
 
 /**
- * Delete all cards from the database
+ * Fold one card into another and delete it. The removed card's review
+ * history moves to the kept card, as does any media the updates adopt;
+ * its other media is deleted.
+ * @param {string} keepId - Card that stays
+ * @param {string} removeId - Card that goes
+ * @param {Object} updates - Fields to set on the kept card (see Duplicates.mergeCardFields)
+ * @returns {Promise<void>}
+ */
+async function mergeCardInto(keepId, removeId, updates) {
+    return await db.transaction('rw', db.cards, db.reviews, db.media, db.tombstones, async () => {
+        const adopted = [updates.audioId, updates.imageId].filter(Boolean);
+        await db.media.where('cardId').equals(removeId).and(m => adopted.includes(m.id)).modify({ cardId: keepId });
+        await db.media.where('cardId').equals(removeId).delete();
+        await db.reviews.where('cardId').equals(removeId).modify({ cardId: keepId });
+        await db.cards.update(keepId, updates);
+        await db.cards.delete(removeId);
+        await db.tombstones.put(_tombstone('card', removeId));
+    });
+}
+
+/**
+ * Delete all cards, review history and media from the database
  * @returns {Promise<void>}
  */
 async function deleteAllCards() {
-    return await db.cards.clear();
+    return await db.transaction('rw', db.cards, db.reviews, db.media, db.tombstones, async () => {
+        const cardIds = await db.cards.toCollection().primaryKeys();
+        await db.reviews.clear();
+        await db.media.clear();
+        await db.cards.clear();
+        await db.tombstones.bulkPut(cardIds.map(id => _tombstone('card', id)));
+    });
 }
 
 /**
- * Export all cards as JSON
+ * Apply a review: write the card's new scheduling state and append the
+ * review log entry in one transaction, so history never drifts from cards.
+ * @param {string} cardId - Card ID
+ * @param {Object} updates - New card fields (from SM2.calculateNextReview)
+ * @param {Object} review - Review log entry (without id)
+ * @returns {Promise<number>} ID of the new review row
+ */
+async function recordReview(cardId, updates, review) {
+    return await db.transaction('rw', db.cards, db.reviews, async () => {
+        await db.cards.update(cardId, updates);
+        return await db.reviews.add({ ...review, cardId });
+    });
+}
+
+/**
+ * Roll back a review recorded with recordReview
+ * @param {Object} previous - Full card object as it was before the review
+ * @param {number} reviewId - ID returned by recordReview
+ * @returns {Promise<void>}
+ */
+async function undoReview(previous, reviewId) {
+    return await db.transaction('rw', db.cards, db.reviews, db.tombstones, async () => {
+        const review = await db.reviews.get(reviewId);
+        await db.cards.put(previous);
+        await db.reviews.delete(reviewId);
+        if (review) await db.tombstones.put(_tombstone('review', `${review.cardId}:${review.timestamp}`));
+    });
+}
+
+/**
+ * Give a card new scheduling fields and drop its review log, as if it had
+ * just been added (Manage → Forget). Each review leaves a tombstone so
+ * other devices drop it too.
+ * @param {string} id - Card ID
+ * @param {Object} updates - Fields to set (SM2.resetSchedule)
+ * @returns {Promise<void>}
+ */
+async function forgetCard(id, updates) {
+    return await db.transaction('rw', db.cards, db.reviews, db.tombstones, async () => {
+        const reviews = await db.reviews.where('cardId').equals(id).toArray();
+        await db.tombstones.bulkPut(reviews.map(r => _tombstone('review', `${r.cardId}:${r.timestamp}`)));
+        await db.reviews.where('cardId').equals(id).delete();
+        await db.cards.update(id, updates);
+    });
+}
+
+/**
+ * Save a card edited in Manage in one transaction, so a failure half-way
+ * leaves the card as it was
+ * @param {string} id - Card ID
+ * @param {Object} edit
+ * @param {Object} edit.updates - Fields to set (text, tags, scheduling)
+ * @param {Object} [edit.forget] - Fields for forgetCard, which also erases the review log
+ * @param {Blob|null} [edit.audio] - New recording; null removes it, undefined keeps it
+ * @param {{blob: Blob, thumb: Blob}|null} [edit.image] - Likewise for the image
+ * @param {string} edit.deckId - Deck the card belongs in (moveCardToDeck)
+ * @returns {Promise<void>}
+ */
+async function saveCardEdit(id, { updates, forget = null, audio, image, deckId }) {
+    return await db.transaction('rw', db.cards, db.reviews, db.media, db.tombstones, async () => {
+        await db.cards.update(id, updates);
+        if (forget) await forgetCard(id, forget);
+        if (audio) await saveMedia(id, 'audio', audio);
+        else if (audio === null) await deleteMedia(id, 'audio');
+        if (image) await saveMedia(id, 'image', image.blob, image.thumb);
+        else if (image === null) await deleteMedia(id, 'image');
+        await moveCardToDeck(id, deckId);
+    });
+}
+
+/**
+ * Get the full review log, oldest first
+ * @returns {Promise<Array>} Review entries
+ */
+async function getReviews() {
+    return await db.reviews.orderBy('timestamp').toArray();
+}
+
+/**
+ * Get the reviews logged at or after a time, oldest first
+ * @param {string} since - ISO date
+ * @returns {Promise<Array>} Review entries
+ */
+async function getReviewsSince(since) {
+    return await db.reviews.where('timestamp').aboveOrEqual(since).sortBy('timestamp');
+}
+
+/**
+ * Get the review log for one card, oldest first
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Array>} Review entries
+ */
+async function getReviewsForCard(cardId) {
+    const reviews = await db.reviews.where('cardId').equals(cardId).toArray();
+    return reviews.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Attach a media blob to a card, replacing any earlier one of the same kind.
+ * The card's `<kind>Id` field (audioId, imageId) is pointed at the new row.
+ * @param {string} cardId - Card ID
+ * @param {string} kind - 'audio' | 'image'
+ * @param {Blob} blob - Recorded audio or (downscaled) image
+ * @param {Blob} [thumb] - Small preview, images only
+ * @returns {Promise<string>} Media ID
+ */
+async function saveMedia(cardId, kind, blob, thumb = null) {
+    return await db.transaction('rw', db.cards, db.media, async () => {
+        await db.media.where('[cardId+kind]').equals([cardId, kind]).delete();
+        const media = {
+            id: generateUUID(),
+            cardId: cardId,
+            kind: kind,
+            type: blob.type,
+            blob: blob,
+            thumb: thumb,
+            createdAt: new Date().toISOString()
+        };
+        await db.media.add(media);
+        await db.cards.update(cardId, { [`${kind}Id`]: media.id });
+        return media.id;
+    });
+}
+
+/**
+ * Remove a card's media of one kind
+ * @param {string} cardId - Card ID
+ * @param {string} kind - 'audio' | 'image'
+ * @returns {Promise<void>}
+ */
+async function deleteMedia(cardId, kind) {
+    return await db.transaction('rw', db.cards, db.media, async () => {
+        await db.media.where('[cardId+kind]').equals([cardId, kind]).delete();
+        await db.cards.update(cardId, { [`${kind}Id`]: null });
+    });
+}
+
+/**
+ * Get a media row by ID
+ * @param {string} id - Media ID
+ * @returns {Promise<Object>} { id, cardId, kind, type, blob, thumb, createdAt }
+ */
+async function getMedia(id) {
+    return await db.media.get(id);
+}
+
+// Backups are JSON, so blobs travel as base64 strings
+async function _blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function _base64ToBlob(data, type) {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: type });
+}
+
+/**
+ * Export all cards and review history as JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.mediaData=true] - Include media as base64; without it the
+ *   media entries carry only their metadata (restore points keep the blobs apart)
  * @returns {Promise<string>} JSON string of all cards
  */
-async function exportData() {
-    const cards = await getAllCards();
+async function exportData({ mediaData = true } = {}) {
+    const [decks, cards, reviews, media] = await Promise.all([
+        getDecks(), getAllCards(), getReviews(), db.media.toArray()
+    ]);
     const exportObj = {
-        version: 2,
+        version: BackupFormat.VERSION,
         exportDate: new Date().toISOString(),
-        cards: cards
+        decks: decks,
+        cards: cards,
+        reviews: reviews.map(({ id, ...r }) => r),
+        media: await Promise.all(media.map(async ({ blob, thumb, ...m }) => (mediaData ? {
+            ...m,
+            data: await _blobToBase64(blob),
+            thumbData: thumb ? await _blobToBase64(thumb) : null
+        } : m)))
     };
     return JSON.stringify(exportObj, null, 2);
 }
 
 /**
- * Import cards from JSON backup
- * @param {string} jsonString - JSON string to import
- * @returns {Promise<number>} Number of cards imported
+ * Is card a's review state newer than b's? Never-reviewed counts as oldest.
+ * @param {Object} a - Card
+ * @param {Object} b - Card
+ * @returns {boolean}
  */
-async function importData(jsonString) {
-    const data = JSON.parse(jsonString);
+function _reviewedLater(a, b) {
+    const time = c => c.lastReviewed ? new Date(c.lastReviewed).getTime() : -Infinity;
+    return time(a) > time(b);
+}
 
-    if (!data.cards || !Array.isArray(data.cards)) {
-        throw new Error('Invalid backup format');
+// Fields whose difference between two copies of a card means an edit on
+// one side is lost when the other copy wins a merge
+const MERGE_CONTENT_FIELDS = ['front', 'back', 'anchor', 'example', 'deckId', 'audioId', 'imageId'];
+
+function _contentDiffers(a, b) {
+    return MERGE_CONTENT_FIELDS.some(f => (a[f] || '') !== (b[f] || '')) ||
+        (a.tags || []).join(' ') !== (b.tags || []).join(' ');
+}
+
+/**
+ * Restore a JSON backup
+ *
+ * Modes:
+ *  - 'replace': wipe this device's cards, decks, reviews and media, then load the file
+ *  - 'merge':   match cards by id; new cards are added, and a card on both
+ *               sides keeps whichever copy has the newer lastReviewed
+ *  - 'add':     only cards whose id isn't on this device are added
+ *
+ * In merge and add modes decks missing here are added (existing ones keep
+ * their local settings), added cards keep their notebook slot unless it is
+ * taken in that deck, and review history is combined without duplicates.
+ * Everything is written in one transaction, so a file that fails half-way
+ * leaves the database untouched.
+ *
+ * The file is migrated and validated by BackupFormat first; with problems
+ * left it is rejected unless `repair` is set.
+ *
+ * @param {string} jsonString - JSON string to import
+ * @param {Object} [options]
+ * @param {string} [options.mode='replace'] - 'replace' | 'merge' | 'add'
+ * @param {boolean} [options.repair=false] - Fill invalid fields with defaults, drop cards without text
+ * @param {Array<Object>} [options.media=[]] - Media rows { id, blob, thumb } for file entries
+ *   that carry no data, as restore points store them
+ * @returns {Promise<{added: number, updated: number, skipped: number, decksAdded: number,
+ *   conflicts: Array<{id: string, front: string, kept: string}>, fixed: number, removed: number}>}
+ *   conflicts are cards edited differently on both sides; kept is 'backup' or 'device';
+ *   fixed / removed count repaired and dropped cards
+ * @throws {Error} 'Invalid backup format' with a `problems` list when validation fails
+ */
+async function importData(jsonString, { mode = 'replace', repair = false, media: blobs = [] } = {}) {
+    const { data, problems, fixed, removed } = BackupFormat.check(JSON.parse(jsonString), { repair });
+    if (problems.length > 0) {
+        throw Object.assign(new Error('Invalid backup format'), { problems });
     }
 
-    // Backfill notebook coordinates for older backups that predate v3.
-    const needsCoords = data.cards.some(
-        c => c.notebookPage === undefined || c.notebookSlot === undefined
+    // Backups that predate v5 have no decks: everything goes into one
+    // default deck — a new one when replacing, this device's first deck
+    // otherwise. Cards pointing at a deck missing from the file land in
+    // the first deck.
+    const hasDecks = Array.isArray(data.decks) && data.decks.length > 0;
+    const decks = hasDecks ? data.decks
+        : mode === 'replace' ? [createDeck({ name: DEFAULT_DECK_NAME })]
+        : (await getDecks()).slice(0, 1);
+    const deckIds = new Set(decks.map(d => d.id));
+    const remapped = new Set(data.cards.filter(c => !deckIds.has(c.deckId)).map(c => c.id));
+    let toImport = data.cards.map(c =>
+        remapped.has(c.id) ? { ...c, deckId: decks[0].id } : c
     );
-    let toImport = data.cards;
-    if (needsCoords) {
-        const sorted = [...data.cards].sort((a, b) => {
+
+    // Notebook slots were checked against each card's own deck; a remapped
+    // card keeps its slot only if it is still free in the first deck, and
+    // is otherwise placed again below.
+    const slotKey = c => `${c.deckId}:${c.notebookPage}:${c.notebookSlot}`;
+    const taken = new Set(toImport.filter(c => !remapped.has(c.id)).map(slotKey));
+    toImport = toImport.map(c => {
+        if (!remapped.has(c.id) || c.notebookPage === undefined || c.notebookSlot === undefined) return c;
+        if (!taken.has(slotKey(c))) { taken.add(slotKey(c)); return c; }
+        const { notebookPage, notebookSlot, ...rest } = c;
+        return rest;
+    });
+
+    // Backfill notebook coordinates for older backups that predate v3, and
+    // for cards whose coordinates were cleared by repair or the deck remap:
+    // oldest first, after the cards in the file that already have a place.
+    const unplaced = toImport.filter(c => c.notebookPage === undefined || c.notebookSlot === undefined);
+    if (unplaced.length > 0) {
+        const states = new Map();
+        for (const c of toImport) {
+            if (c.notebookPage === undefined || c.notebookSlot === undefined) continue;
+            const state = states.get(c.deckId);
+            if (!state || c.notebookPage > state.maxPage) {
+                states.set(c.deckId, { maxPage: c.notebookPage, frontPageFilledCount: NOTEBOOK_PAGE_CAPACITY - c.notebookSlot });
+            } else if (c.notebookPage === state.maxPage) {
+                state.frontPageFilledCount = Math.max(state.frontPageFilledCount, NOTEBOOK_PAGE_CAPACITY - c.notebookSlot);
+            }
+        }
+        const sorted = [...unplaced].sort((a, b) => {
             const d = new Date(a.createdAt) - new Date(b.createdAt);
             return d !== 0 ? d : a.id.localeCompare(b.id);
         });
-        const state = { maxPage: null, frontPageFilledCount: 0 };
         const byId = new Map();
-        for (const c of sorted) byId.set(c.id, { ...c, ..._nextSlot(state) });
-        toImport = data.cards.map(c => byId.get(c.id));
+        for (const c of sorted) {
+            if (!states.has(c.deckId)) states.set(c.deckId, { maxPage: null, frontPageFilledCount: 0 });
+            byId.set(c.id, { ...c, ..._nextSlot(states.get(c.deckId)) });
+        }
+        toImport = toImport.map(c => byId.get(c.id) || c);
     }
 
-    // Clear existing data
-    await deleteAllCards();
+    // Review history is optional — backups made before v4 have none.
+    const cardIds = new Set(toImport.map(c => c.id));
+    const reviews = Array.isArray(data.reviews)
+        ? data.reviews.filter(r => cardIds.has(r.cardId)).map(({ id, ...r }) => r)
+        : [];
+
+    // Media arrived in backup v3. Decoded up front: the transaction below
+    // must not wait on anything but the database.
+    const blobsById = new Map(blobs.map(b => [b.id, b]));
+    const media = Array.isArray(data.media)
+        ? data.media.filter(m => cardIds.has(m.cardId) && (m.data || blobsById.has(m.id)))
+            .map(({ data: b64, thumbData, ...m }) => ({
+                ...m,
+                blob: b64 ? _base64ToBlob(b64, m.type) : blobsById.get(m.id).blob,
+                thumb: b64 ? (thumbData ? _base64ToBlob(thumbData, 'image/jpeg') : null) : blobsById.get(m.id).thumb
+            }))
+        : [];
+
+    return await db.transaction('rw', db.cards, db.reviews, db.decks, db.media, db.tombstones, async () => {
+        // A card whose media is in neither the file nor (when merging) this
+        // device simply loses the reference.
+        const localMedia = mode === 'replace' ? [] : await db.media.toCollection().primaryKeys();
+        const mediaIds = new Set([...media.map(m => m.id), ...localMedia]);
+        toImport = toImport.map(c => ({
+            ...c,
+            ...(c.audioId && !mediaIds.has(c.audioId) ? { audioId: null } : {}),
+            ...(c.imageId && !mediaIds.has(c.imageId) ? { imageId: null } : {})
+        }));
+
+        // Restored cards and decks count as edited now for sync; whatever
+        // they replace is passed on as deleted.
+        const restored = [...cardIds].map(id => `card:${id}`);
+
+        if (mode === 'replace') {
+            const oldDecks = await db.decks.toCollection().primaryKeys();
+            await deleteAllCards();
+            await db.decks.clear();
+            await db.decks.bulkAdd(decks);
+            await db.reviews.bulkAdd(reviews);
+            await db.media.bulkAdd(media);
+            await db.cards.bulkAdd(toImport);
+            await db.tombstones.bulkPut(oldDecks.filter(id => !deckIds.has(id)).map(id => _tombstone('deck', id)));
+            await db.tombstones.bulkDelete([...restored, ...decks.map(d => `deck:${d.id}`)]);
+            return { added: toImport.length, updated: 0, skipped: 0, decksAdded: decks.length, conflicts: [], fixed, removed };
+        }
+
+        const localDecks = new Set(await db.decks.toCollection().primaryKeys());
+        const newDecks = decks.filter(d => !localDecks.has(d.id));
+        await db.decks.bulkAdd(newDecks);
+        await db.tombstones.bulkDelete([...restored, ...newDecks.map(d => `deck:${d.id}`)]);
+
+        const local = new Map((await db.cards.bulkGet([...cardIds]))
+            .filter(Boolean).map(c => [c.id, c]));
+        const added = [], updated = [], conflicts = [];
+        let skipped = 0;
+        for (const card of toImport) {
+            const mine = local.get(card.id);
+            if (!mine) { added.push(card); continue; }
+            const incomingWins = mode === 'merge' && _reviewedLater(card, mine);
+            if (_contentDiffers(card, mine)) {
+                conflicts.push({ id: card.id, front: mine.front, kept: incomingWins ? 'backup' : 'device' });
+            }
+            if (!incomingWins) { skipped++; continue; }
+            // A card keeps its notebook slot unless the winning copy moved decks
+            updated.push(card.deckId === mine.deckId
+                ? { ...card, notebookPage: mine.notebookPage, notebookSlot: mine.notebookSlot }
+                : card);
+        }
+
+        // Added cards keep their coordinates where the slot is free in this
+        // device's copy of the deck; the rest, and updated cards that moved
+        // decks, are placed like newly created cards.
+        const taken = new Set((await db.cards.toArray())
+            .map(c => `${c.deckId}:${c.notebookPage}:${c.notebookSlot}`));
+        const place = [], keep = [];
+        for (const card of added) {
+            const key = `${card.deckId}:${card.notebookPage}:${card.notebookSlot}`;
+            if (taken.has(key)) place.push(card);
+            else { taken.add(key); keep.push(card); }
+        }
+        for (const card of updated) {
+            const mine = local.get(card.id);
+            if (card.deckId !== mine.deckId) place.push(card);
+            else keep.push(card);
+        }
+        await db.cards.bulkPut(keep);
+        const states = new Map();
+        const placed = [];
+        for (const c of place) {
+            if (!states.has(c.deckId)) states.set(c.deckId, await _placementState(c.deckId));
+            placed.push({ ...c, ..._nextSlot(states.get(c.deckId)) });
+        }
+        await db.cards.bulkPut(placed);
+
+        // Reviews: all of an added card's; for cards on both sides (merge
+        // only) the ones this device doesn't have yet.
+        const addedIds = new Set(added.map(c => c.id));
+        const shared = mode === 'merge' ? [...local.keys()] : [];
+        const known = new Set((await db.reviews.where('cardId').anyOf(shared).toArray())
+            .map(r => `${r.cardId}:${r.timestamp}`));
+        await db.reviews.bulkAdd(reviews.filter(r =>
+            addedIds.has(r.cardId) ||
+            (local.has(r.cardId) && mode === 'merge' && !known.has(`${r.cardId}:${r.timestamp}`))
+        ));
+
+        // Media follows the winning copy; an updated card's replaced
+        // recording or image is dropped.
+        const writtenIds = new Set([...added, ...updated].map(c => c.id));
+        await db.media.bulkPut(media.filter(m => writtenIds.has(m.cardId)));
+        for (const card of updated) {
+            const keepIds = [card.audioId, card.imageId].filter(Boolean);
+            await db.media.where('cardId').equals(card.id)
+                .filter(m => !keepIds.includes(m.id)).delete();
+        }
 
-    // Import cards
-    return await db.cards.bulkAdd(toImport);
+        return { added: added.length, updated: updated.length, skipped, decksAdded: newDecks.length, conflicts, fixed, removed };
+    });
+}
+
+// ── sync ────────────────────────────────────────────────────────────────────
+
+/**
+ * Everything changed on this device after a point in time
+ * @param {string|null} since - ISO time the last successful sync started (null = everything)
+ * @returns {Promise<{cards: Array, decks: Array, reviews: Array, tombstones: Array}>}
+ *   cards without their media references, reviews without local IDs
+ */
+async function getSyncChanges(since) {
+    const after = since || '';
+    return await db.transaction('r', db.cards, db.decks, db.reviews, db.tombstones, async () => ({
+        cards: (await db.cards.where('modifiedAt').above(after).toArray())
+            .map(({ audioId, imageId, ...card }) => card),
+        decks: await db.decks.where('modifiedAt').above(after).toArray(),
+        reviews: (await db.reviews.where('timestamp').above(after).toArray()).map(({ id, ...r }) => r),
+        tombstones: await db.tombstones.where('deletedAt').above(after).toArray()
+    }));
+}
+
+/**
+ * Number of changes waiting for the next sync
+ * @param {string|null} since - As for getSyncChanges
+ * @returns {Promise<number>}
+ */
+async function countSyncChanges(since) {
+    const after = since || '';
+    const counts = await Promise.all([
+        db.cards.where('modifiedAt').above(after).count(),
+        db.decks.where('modifiedAt').above(after).count(),
+        db.reviews.where('timestamp').above(after).count(),
+        db.tombstones.where('deletedAt').above(after).count()
+    ]);
+    return counts.reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Merge another device's copy of a card into this one, field group by
+ * field group: the newer timestamp wins, a tie keeps this device's value.
+ * @param {Object} local - Card on this device
+ * @param {Object} remote - Card from the sync endpoint
+ * @returns {Object|null} Merged card, or null if nothing of the remote copy wins
+ */
+function _mergeSyncedCard(local, remote) {
+    const localTimes = local.fieldModifiedAt || {};
+    const remoteTimes = remote.fieldModifiedAt || {};
+    const merged = { ...local, fieldModifiedAt: { ...localTimes } };
+    let changed = false;
+    for (const [group, fields] of Object.entries(SYNC_FIELD_GROUPS)) {
+        const mine = localTimes[group] || local.modifiedAt || '';
+        const theirs = remoteTimes[group] || remote.modifiedAt || '';
+        if (theirs <= mine) continue;
+        for (const field of fields) {
+            if (remote[field] === undefined) delete merged[field];
+            else merged[field] = remote[field];
+        }
+        merged.fieldModifiedAt[group] = theirs;
+        changed = true;
+    }
+    if (!changed) return null;
+    merged.modifiedAt = remote.modifiedAt > local.modifiedAt ? remote.modifiedAt : local.modifiedAt;
+    return merged;
+}
+
+/**
+ * Apply changes pulled from the sync endpoint, keeping their timestamps.
+ * Cards merge per field group (_mergeSyncedCard), decks as a whole
+ * (newest wins); a deletion wins over changes made before it, a change made
+ * after a deletion brings the record back. Reviews are combined by cardId +
+ * timestamp. A card landing on a notebook slot already taken here is
+ * placed like a new card, and that move is synced back.
+ * @param {{cards: Array, decks: Array, reviews: Array, tombstones: Array}} changes
+ * @returns {Promise<{cards: number, decks: number, reviews: number, deleted: number}>}
+ *   records written or removed on this device
+ */
+async function applySyncChanges({ cards = [], decks = [], reviews = [], tombstones = [] }) {
+    return await db.transaction('rw', db.cards, db.decks, db.reviews, db.media, db.tombstones, async () => {
+        Dexie.currentTransaction.keepTimestamps = true;
+        const result = { cards: 0, decks: 0, reviews: 0, deleted: 0 };
+        const deletedAt = new Map((await db.tombstones.toArray()).map(t => [t.key, t.deletedAt]));
+
+        for (const tomb of tombstones) {
+            if ((deletedAt.get(tomb.key) || '') >= tomb.deletedAt) continue;
+            await db.tombstones.put(tomb);
+            deletedAt.set(tomb.key, tomb.deletedAt);
+            if (tomb.kind === 'card') {
+                const card = await db.cards.get(tomb.id);
+                if (!card || card.modifiedAt > tomb.deletedAt) continue;
+                await db.reviews.where('cardId').equals(tomb.id).delete();
+                await db.media.where('cardId').equals(tomb.id).delete();
+                await db.cards.delete(tomb.id);
+                result.deleted++;
+            } else if (tomb.kind === 'deck') {
+                const deck = await db.decks.get(tomb.id);
+                if (!deck || deck.modifiedAt > tomb.deletedAt) continue;
+                await db.decks.delete(tomb.id);
+                result.deleted++;
+            } else if (tomb.kind === 'review') {
+                const split = tomb.id.indexOf(':');
+                const cardId = tomb.id.slice(0, split), timestamp = tomb.id.slice(split + 1);
+                result.deleted += await db.reviews.where('cardId').equals(cardId)
+                    .filter(r => r.timestamp === timestamp).delete();
+            }
+        }
+
+        for (const deck of decks) {
+            if ((deletedAt.get(`deck:${deck.id}`) || '') >= deck.modifiedAt) continue;
+            const mine = await db.decks.get(deck.id);
+            if (mine && mine.modifiedAt >= deck.modifiedAt) continue;
+            await db.decks.put(deck);
+            result.decks++;
+        }
+
+        const now = new Date().toISOString();
+        for (const { audioId, imageId, ...card } of cards) {
+            if ((deletedAt.get(`card:${card.id}`) || '') >= card.modifiedAt) continue;
+            const mine = await db.cards.get(card.id);
+            let next = mine ? _mergeSyncedCard(mine, card) : card;
+            if (!next) continue;
+            // Two devices may have filled the same slot independently
+            const clash = next.notebookPage !== undefined && await db.cards.where('[deckId+notebookPage]')
+                .equals([next.deckId, next.notebookPage])
+                .filter(c => c.notebookSlot === next.notebookSlot && c.id !== next.id).first();
+            if (clash) {
+                next = {
+                    ...next,
+                    ..._nextSlot(await _placementState(next.deckId)),
+                    modifiedAt: now,
+                    fieldModifiedAt: { ...next.fieldModifiedAt, place: now }
+                };
+            }
+            await db.cards.put(next);
+            result.cards++;
+        }
+
+        const cardIds = [...new Set(reviews.map(r => r.cardId))];
+        const present = new Set(await db.cards.where('id').anyOf(cardIds).primaryKeys());
+        const known = new Set((await db.reviews.where('cardId').anyOf(cardIds).toArray())
+            .map(r => `${r.cardId}:${r.timestamp}`));
+        const fresh = [];
+        for (const { id, ...review } of reviews) {
+            const key = `${review.cardId}:${review.timestamp}`;
+            if (!present.has(review.cardId) || known.has(key) || deletedAt.has(`review:${key}`)) continue;
+            known.add(key);
+            fresh.push(review);
+        }
+        await db.reviews.bulkAdd(fresh);
+        result.reviews = fresh.length;
+        return result;
+    });
 }
 
 // Export functions for use in other modules
 window.CardDB = {
     createCard,
+    createDeck,
     addCards,
     addCardsWithPlacement,
+    addImportedCards,
+    moveCardToDeck,
     getAllCards,
     getDueCards,
     getDueCount,
+    isParked,
     getTotalCount,
+    getCardsWithTag,
     updateCard,
+    modifyAllCards,
     getCard,
     deleteCard,
+    mergeCardInto,
     deleteAllCards,
+    recordReview,
+    undoReview,
+    forgetCard,
+    saveCardEdit,
+    getReviews,
+    getReviewsSince,
+    getReviewsForCard,
+    saveMedia,
+    deleteMedia,
+    getMedia,
+    getDecks,
+    getDeck,
+    addDeck,
+    updateDeck,
+    deleteDeck,
     exportData,
     importData,
-    NOTEBOOK_PAGE_CAPACITY
+    getSyncChanges,
+    countSyncChanges,
+    applySyncChanges,
+    NOTEBOOK_PAGE_CAPACITY,
+    DEFAULT_DECK_NAME
 };
@@ -0,0 +1,236 @@
+/**
+ * Decks module
+ * Home-screen deck picker, deck list screen and deck edit modal.
+ * Keeps a name-sorted copy of the deck list so other modules can fill
+ * their deck <select>s without another DB round-trip.
+ */
+window.DeckModule = (function () {
+    'use strict';
+
+    let decks = [];
+
+    // DOM refs
+    let picker, deckList;
+    let deckModal, deckModalTitle, deckIdInput, deckName, deckDescription, deckFrontLang, deckBackLang;
+    let deckScheduleFields;
+
+    // ── shared helpers ──────────────────────────────────────────────────────
+
+    // Reload decks from the DB, make sure at least one exists and that the
+    // active deck still points at a real deck (it may not after a restore).
+    // Also hands each deck's schedule overrides to the scheduler.
+    async function refresh() {
+        decks = await CardDB.getDecks();
+        if (decks.length === 0) {
+            await CardDB.addDeck(CardDB.createDeck({ name: CardDB.DEFAULT_DECK_NAME }));
+            decks = await CardDB.getDecks();
+        }
+        for (const deck of decks) {
+            SM2.setDeckConfig(deck.id, (deck.settings || {}).scheduling);
+        }
+        if (UI.getDeckId() && !decks.some(d => d.id === UI.getDeckId())) _setActive('');
+        fillSelect(picker, UI.getDeckId(), { includeAll: true });
+    }
+
+    function fillSelect(select, selectedId, { includeAll = false } = {}) {
+        const options = decks.map(d => `<option value="${d.id}">${UI.escapeHtml(d.name)}</option>`);
+        if (includeAll) options.unshift('<option value="">All decks</option>');
+        select.innerHTML = options.join('');
+        if (selectedId && decks.some(d => d.id === selectedId)) select.value = selectedId;
+        else select.value = includeAll ? '' : decks[0].id;
+    }
+
+    function getDecks() {
+        return decks;
+    }
+
+    function nameOf(id) {
+        const deck = decks.find(d => d.id === id);
+        return deck ? deck.name : '';
+    }
+
+    // Deck new cards go into by default: the active deck, or the first deck
+    // when "All decks" is selected.
+    function defaultDeckId() {
+        return UI.getDeckId() || decks[0].id;
+    }
+
+    function _setActive(id) {
+        UI.setDeckId(id);
+        localStorage.setItem('kapanak-active-deck', id);
+    }
+
+    // ── deck list screen ────────────────────────────────────────────────────
+
+    async function _renderList() {
+        const done = await DailyLimits.countToday();
+        const counts = await Promise.all(decks.map(d => Promise.all([
+            CardDB.getTotalCount(d.id),
+            DailyLimits.getStudyQueue(d.id, { done }).then(queue => queue.length)
+        ])));
+
+        deckList.innerHTML = decks.map((deck, i) => {
+            const [total, due] = counts[i];
+            const langs = deck.frontLang || deck.backLang
+                ? `${deck.frontLang || '?'} → ${deck.backLang || '?'} · ` : '';
+            return `
+                <div class="card-item deck-item${deck.id === UI.getDeckId() ? ' deck-item-active' : ''}" data-id="${deck.id}">
+                    <div class="card-item-content">
+                        <div class="card-item-front">${UI.escapeHtml(deck.name)}</div>
+                        <div class="card-item-back">${langs}${total} card${total !== 1 ? 's' : ''} · ${due} due</div>
+                        ${deck.description ? `<div class="card-item-anchor">${UI.escapeHtml(deck.description)}</div>` : ''}
+                    </div>
+                    <div class="card-item-actions">
+                        <button class="card-item-edit" aria-label="Edit deck">
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                            </svg>
+                        </button>
+                        <button class="card-item-delete" aria-label="Delete deck">
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="3 6 5 6 21 6"></polyline>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async function open() {
+        await refresh();
+        await _renderList();
+        UI.showScreen('decks');
+    }
+
+    async function _selectDeck(id) {
+        _setActive(id);
+        fillSelect(picker, id, { includeAll: true });
+        await StatsModule.update();
+        UI.showScreen('home');
+    }
+
+    async function _deleteDeck(id) {
+        if (decks.length <= 1) { UI.showToast('Cannot delete the only deck'); return; }
+        const name  = nameOf(id);
+        const count = await CardDB.getTotalCount(id);
+        const msg = count > 0
+            ? `Delete "${name}" and its ${count} card${count !== 1 ? 's' : ''}? A restore point is saved first.`
+            : `Delete "${name}"?`;
+        if (!confirm(msg)) return;
+        if (count > 0 && !await SnapshotModule.before(`Before deleting the deck "${name}"`)) return;
+        try {
+            await CardDB.deleteDeck(id);
+            await refresh();
+            await _renderList();
+            UI.showToast('Deck deleted');
+        } catch (e) {
+            UI.showToast('Error deleting deck');
+        }
+    }
+
+    // ── edit modal ──────────────────────────────────────────────────────────
+
+    function _openEdit(id) {
+        const deck = id ? decks.find(d => d.id === id) : null;
+        deckModalTitle.textContent = deck ? 'Edit Deck' : 'New Deck';
+        deckIdInput.value     = deck ? deck.id : '';
+        deckName.value        = deck ? deck.name : '';
+        deckDescription.value = deck ? deck.description : '';
+        deckFrontLang.value   = deck ? deck.frontLang : '';
+        deckBackLang.value    = deck ? deck.backLang : '';
+        SettingsModule.fillScheduleFields(deckScheduleFields, SM2.configFor(), { placeholders: true });
+        SettingsModule.fillScheduleFields(deckScheduleFields, (deck && deck.settings && deck.settings.scheduling) || {});
+        deckScheduleFields.closest('details').open = !!(deck && deck.settings && deck.settings.scheduling);
+        deckModal.classList.remove('hidden');
+        deckName.focus();
+    }
+
+    function _closeEdit() {
+        deckModal.classList.add('hidden');
+        deckIdInput.value = deckName.value = deckDescription.value = deckFrontLang.value = deckBackLang.value = '';
+    }
+
+    async function _saveEdit() {
+        const id     = deckIdInput.value;
+        const fields = {
+            name:        deckName.value.trim(),
+            description: deckDescription.value.trim(),
+            frontLang:   deckFrontLang.value.trim(),
+            backLang:    deckBackLang.value.trim()
+        };
+
+        if (!fields.name) { UI.showToast('Deck name is required'); return; }
+        const taken = decks.some(d => d.id !== id && d.name.toLowerCase() === fields.name.toLowerCase());
+        if (taken) { UI.showToast('A deck with that name already exists'); return; }
+
+        // Empty override fields mean "use the global value"
+        const raw = SettingsModule.readScheduleFields(deckScheduleFields);
+        Object.keys(raw).forEach(key => { if (raw[key] === '') delete raw[key]; });
+        const { values, errors } = SM2.validateConfig(raw, SM2.configFor());
+        if (errors.length) { UI.showToast(errors[0]); return; }
+
+        const existing = id ? decks.find(d => d.id === id) : null;
+        const settings = { ...((existing && existing.settings) || {}) };
+        if (Object.keys(values).length) settings.scheduling = values;
+        else delete settings.scheduling;
+
+        try {
+            if (id) await CardDB.updateDeck(id, { ...fields, settings });
+            else    await CardDB.addDeck({ ...CardDB.createDeck(fields), settings });
+            _closeEdit();
+            await refresh();
+            await _renderList();
+            UI.showToast(id ? 'Deck updated' : 'Deck created');
+        } catch (e) {
+            UI.showToast('Error saving deck');
+        }
+    }
+
+    // ── init ────────────────────────────────────────────────────────────────
+
+    function init() {
+        picker          = document.getElementById('deck-picker');
+        deckList        = document.getElementById('deck-list');
+        deckModal       = document.getElementById('deck-modal');
+        deckModalTitle  = document.getElementById('deck-modal-title');
+        deckIdInput     = document.getElementById('deck-id');
+        deckName        = document.getElementById('deck-name');
+        deckDescription = document.getElementById('deck-description');
+        deckFrontLang   = document.getElementById('deck-front-lang');
+        deckBackLang    = document.getElementById('deck-back-lang');
+        deckScheduleFields = document.getElementById('deck-schedule-fields');
+
+        UI.setDeckId(localStorage.getItem('kapanak-active-deck') || '');
+
+        picker.addEventListener('change', async () => {
+            _setActive(picker.value);
+            await StatsModule.update();
+        });
+
+        deckList.addEventListener('click', e => {
+            const item = e.target.closest('.deck-item');
+            if (!item) return;
+            if (e.target.closest('.card-item-edit'))        _openEdit(item.dataset.id);
+            else if (e.target.closest('.card-item-delete')) _deleteDeck(item.dataset.id);
+            else                                             _selectDeck(item.dataset.id);
+        });
+
+        document.getElementById('deck-add-btn').addEventListener('click', () => _openEdit(null));
+        document.getElementById('deck-cancel-btn').addEventListener('click', _closeEdit);
+        document.getElementById('deck-save-btn').addEventListener('click', _saveEdit);
+        deckModal.addEventListener('click', e => { if (e.target === deckModal) _closeEdit(); });
+        deckName.addEventListener('keydown', e => { if (e.key === 'Enter') _saveEdit(); });
+
+        document.getElementById('decks-btn').addEventListener('click', open);
+        document.getElementById('decks-back-btn').addEventListener('click', async () => {
+            fillSelect(picker, UI.getDeckId(), { includeAll: true });
+            await StatsModule.update();
+            UI.showScreen('home');
+        });
+    }
+
+    return { init, open, refresh, fillSelect, getDecks, nameOf, defaultDeckId };
+})();
@@ -0,0 +1,181 @@
+/**
+ * Duplicate detection
+ * Finds cards that say the same thing, for the import review and the
+ * Manage "Find duplicates" tool.
+ *
+ * - Sides are compared by a key that ignores case, whitespace, punctuation
+ *   and diacritics ("Dzień dobry!" ≡ "dzien  dobry")
+ * - 'same': the fronts match
+ * - 'reversed': one card's front is the other's back and vice versa
+ *   ("kot → cat" and "cat → kot")
+ * - Only cards in the same deck are compared
+ *
+ * Merging keeps one card and folds the other into it: the backs become
+ * alternatives ("dog; hound", which typed answers accept either of), tags
+ * are combined, an empty anchor / example / media is filled from the other
+ * card and the scheduling state of the further-along card wins.
+ */
+
+// Fields that make up a card's scheduling state, moved as a whole
+const SCHEDULING_FIELDS = ['interval', 'easeFactor', 'repetitions', 'dueDate', 'lastReviewed',
+    'relearnStep', 'stability', 'difficulty', 'lapses'];
+
+/**
+ * Comparison key for one side of a card
+ * @param {string} text - Card side
+ * @returns {string} Lowercase, accent-free, letters/digits and single spaces only
+ */
+function duplicateKey(text) {
+    return AnswerCheck.foldDiacritics((text || '').toLowerCase())
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Add a card to a lookup index: by front key, and by (back, front) key for
+ * reversed lookups — once per accepted answer, so "cat" still finds
+ * "kot → cat; kitty". The first card with a key keeps it.
+ * @param {{front: Map<string, Object>, reversed: Map<string, Object>}} index
+ * @param {Object} card - Card
+ */
+function _indexCard(index, card) {
+    const front = duplicateKey(card.front);
+    const add = (map, key) => { if (!map.has(key)) map.set(key, card); };
+    add(index.front, `${card.deckId}\u0000${front}`);
+    for (const answer of AnswerCheck.splitAnswers(card.back)) {
+        add(index.reversed, `${card.deckId}\u0000${duplicateKey(answer)}\u0000${front}`);
+    }
+}
+
+function _duplicateIndex(cards) {
+    const index = { front: new Map(), reversed: new Map() };
+    cards.forEach(card => _indexCard(index, card));
+    return index;
+}
+
+function _lookup(index, card) {
+    const front = duplicateKey(card.front);
+    const same = index.front.get(`${card.deckId}\u0000${front}`);
+    if (same) return { existing: same, kind: 'same' };
+    for (const answer of AnswerCheck.splitAnswers(card.back)) {
+        const reversed = index.reversed.get(`${card.deckId}\u0000${front}\u0000${duplicateKey(answer)}`);
+        if (reversed) return { existing: reversed, kind: 'reversed' };
+    }
+    return null;
+}
+
+/**
+ * Split incoming cards into new ones and suspected duplicates of existing
+ * cards. A card repeating an earlier incoming one is dropped.
+ * @param {Array<Object>} incoming - Cards about to be imported
+ * @param {Array<Object>} existing - Cards already saved
+ * @returns {{fresh: Array<Object>, duplicates: Array<{card: Object, existing: Object, kind: string}>,
+ *   repeated: number}}
+ */
+function findImportDuplicates(incoming, existing) {
+    const saved = _duplicateIndex(existing);
+    const batch = _duplicateIndex([]);
+    const fresh = [], duplicates = [];
+    let repeated = 0;
+    for (const card of incoming) {
+        const match = _lookup(saved, card);
+        if (match) duplicates.push({ card, ...match });
+        else if (_lookup(batch, card)) repeated++;
+        else {
+            fresh.push(card);
+            _indexCard(batch, card);
+        }
+    }
+    return { fresh, duplicates, repeated };
+}
+
+/**
+ * Find duplicate pairs among saved cards
+ * @param {Array<Object>} cards - Cards to search
+ * @returns {Array<{card: Object, existing: Object, kind: string}>} existing is the older card
+ */
+function findDuplicatePairs(cards) {
+    const sorted = [...cards].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const index = _duplicateIndex([]);
+    const pairs = [];
+    for (const card of sorted) {
+        const match = _lookup(index, card);
+        if (match) pairs.push({ card, ...match });
+        else _indexCard(index, card);
+    }
+    return pairs;
+}
+
+/**
+ * Is a's scheduling state further along than b's? More successful reviews,
+ * then a longer interval, then the more recent review.
+ * @param {Object} a - Card
+ * @param {Object} b - Card
+ * @returns {boolean}
+ */
+function _furtherAlong(a, b) {
+    if ((a.repetitions || 0) !== (b.repetitions || 0)) return (a.repetitions || 0) > (b.repetitions || 0);
+    if ((a.interval || 0) !== (b.interval || 0)) return (a.interval || 0) > (b.interval || 0);
+    return new Date(a.lastReviewed || 0) > new Date(b.lastReviewed || 0);
+}
+
+/**
+ * Fields to update on `base` so it absorbs `other`
+ * @param {Object} base - Card that stays
+ * @param {Object} other - Card folded into it
+ * @param {string} kind - 'same' | 'reversed' (other's sides are swapped first)
+ * @returns {Object} Partial card for CardDB.updateCard
+ */
+function mergeCardFields(base, other, kind) {
+    const from = kind === 'reversed' ? { ...other, front: other.back, back: other.front } : other;
+
+    // Backs become ';'-separated alternatives, each answer once
+    const answers = [];
+    for (const answer of [...AnswerCheck.splitAnswers(base.back), ...AnswerCheck.splitAnswers(from.back)]) {
+        if (!answers.some(a => duplicateKey(a) === duplicateKey(answer))) answers.push(answer);
+    }
+
+    const updates = {
+        back: answers.join('; '),
+        tags: [...new Set([...(base.tags || []), ...(other.tags || [])])],
+        anchor: base.anchor || other.anchor || '',
+        example: base.example || other.example || ''
+    };
+    if (!base.audioId && other.audioId) updates.audioId = other.audioId;
+    if (!base.imageId && other.imageId) updates.imageId = other.imageId;
+    if (_furtherAlong(other, base)) {
+        for (const field of SCHEDULING_FIELDS) {
+            if (other[field] !== undefined) updates[field] = other[field];
+        }
+    }
+    return updates;
+}
+
+/**
+ * HTML for one suspected duplicate: the new card next to the saved one
+ * @param {{card: Object, existing: Object, kind: string}} pair
+ * @param {Object} [labels] - { card, existing } captions
+ * @returns {string}
+ */
+function renderDuplicatePair({ card, existing, kind }, labels = { card: 'New', existing: 'Existing' }) {
+    const side = (c, label) => `
+        <div class="dup-card">
+            <span class="dup-label">${UI.escapeHtml(label)}</span>
+            <span class="dup-front">${UI.escapeHtml(c.front)}</span>
+            <span class="dup-back">${UI.escapeHtml(c.back)}</span>
+        </div>`;
+    return `
+        <div class="dup-pair">
+            ${side(card, labels.card)}
+            <span class="dup-kind">${kind === 'reversed' ? '⇄ reversed' : '='}</span>
+            ${side(existing, labels.existing)}
+        </div>`;
+}
+
+window.Duplicates = {
+    duplicateKey,
+    findImportDuplicates,
+    findDuplicatePairs,
+    mergeCardFields,
+    renderDuplicatePair
+};
@@ -0,0 +1,199 @@
+/**
+ * Export dialog
+ * Writes cards out in formats other apps (or a printer) understand; the
+ * JSON backup in Settings stays the full-fidelity format.
+ *
+ * - CSV / TSV: chosen columns with a header row the importer recognises
+ * - Anki text: tab-separated front, back, tags with the `#key:value` header
+ *   lines Anki's File → Import reads (Basic note type)
+ * - Print: notebook pages as 3×4 grids, each page a front sheet followed by
+ *   a back sheet with every row mirrored, so printing double-sided (flip on
+ *   the long edge) puts each answer behind its word
+ *
+ * Every format can be narrowed to a deck, a tag query and a range of
+ * notebook pages, numbered as the notebook shows them (1 = newest page).
+ * Cards come out in notebook order.
+ */
+window.ExportModule = (function () {
+    'use strict';
+
+    const COLUMNS = 3;
+
+    const FORMAT_HINTS = {
+        csv:   'Comma-separated, opens in any spreadsheet and imports back into Kapanak.',
+        tsv:   'Tab-separated, handy for pasting into spreadsheets.',
+        anki:  'In Anki, use File → Import and pick this file; it creates Basic notes with tags.',
+        print: 'Opens the print dialog. Print double-sided, flipping on the long edge, to get answers on the back.'
+    };
+
+    let format = 'csv';
+
+    let exportModal, formatChips, formatHint, fieldsGroup, fieldsEl, deckSelect, tagsInput;
+    let pageFrom, pageTo, summaryEl, goBtn;
+
+    // ── selection ────────────────────────────────────────────────────────────
+
+    /**
+     * Cards the current dialog settings select
+     * @returns {Promise<{groups: Array<{deckId, page, number, cards: Array}>, cards: Array}>}
+     *   groups are notebook pages (cards outside the filter set to null);
+     *   cards is the flat list in notebook order
+     */
+    async function _selection() {
+        const all = await CardDB.getAllCards(deckSelect.value);
+        const query = Tags.parseTagQuery(tagsInput.value);
+        const from = parseInt(pageFrom.value, 10) || 1;
+        const to = parseInt(pageTo.value, 10) || Infinity;
+
+        const groups = NotebookModule.buildPageGroups(all)
+            .map((group, i) => ({ ...group, number: i + 1 }))
+            .filter(group => group.number >= from && group.number <= to)
+            .map(group => ({ ...group, cards: group.cards.map(c => (c && Tags.matchesTagQuery(c, query) ? c : null)) }))
+            .filter(group => group.cards.some(Boolean));
+
+        // Cards without notebook coordinates only appear when no page range is set
+        const unplaced = pageFrom.value || pageTo.value ? []
+            : all.filter(c => (c.notebookPage === undefined || c.notebookSlot === undefined) && Tags.matchesTagQuery(c, query));
+        return { groups, cards: [...groups.flatMap(g => g.cards.filter(Boolean)), ...unplaced] };
+    }
+
+    function _selectedFields() {
+        return [...fieldsEl.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    // ── formats ──────────────────────────────────────────────────────────────
+
+    function _field(card, field) {
+        return field === 'tags' ? (card.tags || []).join(' ') : (card[field] || '');
+    }
+
+    function _toDelimited(cards, fields, delimiter) {
+        const rows = [fields, ...cards.map(card => fields.map(f => _field(card, f)))];
+        // BOM so spreadsheet apps read the accents as UTF-8
+        return '\uFEFF' + CSVParser.formatDelimited(rows, delimiter);
+    }
+
+    function _toAnkiText(cards) {
+        const header = ['#separator:tab', '#html:false', '#notetype:Basic', '#tags column:3'];
+        if (deckSelect.value) header.push(`#deck:${DeckModule.nameOf(deckSelect.value)}`);
+        const rows = cards.map(card => [card.front, card.back, (card.tags || []).join(' ')]);
+        return header.join('\r\n') + '\r\n' + CSVParser.formatDelimited(rows, '\t');
+    }
+
+    function _sheet(group, side) {
+        const title = `${DeckModule.nameOf(group.deckId)} · Page ${group.number}${side === 'back' ? ' (back)' : ''}`;
+        const cells = [];
+        for (let row = 0; row < group.cards.length / COLUMNS; row++) {
+            const rowCards = group.cards.slice(row * COLUMNS, (row + 1) * COLUMNS);
+            // Mirror rows on the back so each answer lands behind its word
+            if (side === 'back') rowCards.reverse();
+            for (const card of rowCards) {
+                cells.push(`<div class="print-cell">${card ? UI.escapeHtml(side === 'back' ? card.back : card.front) : ''}</div>`);
+            }
+        }
+        return `<section class="print-sheet"><h2>${UI.escapeHtml(title)}</h2><div class="print-grid">${cells.join('')}</div></section>`;
+    }
+
+    function _print(groups) {
+        let area = document.getElementById('print-area');
+        if (!area) {
+            area = document.createElement('div');
+            area.id = 'print-area';
+            document.body.appendChild(area);
+        }
+        area.innerHTML = groups.map(g => _sheet(g, 'front') + _sheet(g, 'back')).join('');
+        document.body.classList.add('printing');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing');
+            area.innerHTML = '';
+        }, { once: true });
+        window.print();
+    }
+
+    // ── dialog ───────────────────────────────────────────────────────────────
+
+    async function _updateSummary() {
+        formatChips.querySelectorAll('.sort-chip').forEach(c => c.classList.toggle('active', c.dataset.format === format));
+        formatHint.textContent = FORMAT_HINTS[format];
+        fieldsGroup.classList.toggle('hidden', format !== 'csv' && format !== 'tsv');
+        goBtn.textContent = format === 'print' ? 'Print' : 'Download';
+
+        const { groups, cards } = await _selection();
+        const noFields = (format === 'csv' || format === 'tsv') && _selectedFields().length === 0;
+        goBtn.disabled = cards.length === 0 || noFields;
+        summaryEl.textContent = noFields ? 'Pick at least one column'
+            : format === 'print' ? `${groups.length} page${groups.length !== 1 ? 's' : ''} · ${groups.length * 2} sheets`
+            : `${cards.length} card${cards.length !== 1 ? 's' : ''}`;
+    }
+
+    async function _export() {
+        const { groups, cards } = await _selection();
+        const date = new Date().toISOString().split('T')[0];
+        try {
+            if (format === 'print') {
+                _close();
+                _print(groups);
+                return;
+            }
+            if (format === 'anki') {
+                UI.downloadFile(_toAnkiText(cards), `kapanak-anki-${date}.txt`, 'text/plain');
+            } else {
+                const tsv = format === 'tsv';
+                UI.downloadFile(_toDelimited(cards, _selectedFields(), tsv ? '\t' : ','),
+                    `kapanak-cards-${date}.${format}`, tsv ? 'text/tab-separated-values' : 'text/csv');
+            }
+            _close();
+            UI.showToast(`Exported ${cards.length} card${cards.length !== 1 ? 's' : ''}`);
+        } catch (e) {
+            console.error('Export error:', e);
+            UI.showToast('Error exporting cards');
+        }
+    }
+
+    function open() {
+        DeckModule.fillSelect(deckSelect, UI.getDeckId(), { includeAll: true });
+        tagsInput.value = '';
+        pageFrom.value = '';
+        pageTo.value = '';
+        _updateSummary();
+        exportModal.classList.remove('hidden');
+    }
+
+    function _close() {
+        exportModal.classList.add('hidden');
+    }
+
+    function init() {
+        exportModal = document.getElementById('export-modal');
+        formatChips = document.getElementById('export-format');
+        formatHint  = document.getElementById('export-format-hint');
+        fieldsGroup = document.getElementById('export-fields-group');
+        fieldsEl    = document.getElementById('export-fields');
+        deckSelect  = document.getElementById('export-deck');
+        tagsInput   = document.getElementById('export-tags');
+        pageFrom    = document.getElementById('export-page-from');
+        pageTo      = document.getElementById('export-page-to');
+        summaryEl   = document.getElementById('export-summary');
+        goBtn       = document.getElementById('export-go-btn');
+
+        fieldsEl.innerHTML = CSVParser.FIELDS.map(f => `
+            <label class="export-field">
+                <input type="checkbox" value="${f}"${f === 'front' || f === 'back' ? ' checked' : ''}>
+                ${f[0].toUpperCase() + f.slice(1)}
+            </label>`).join('');
+
+        formatChips.addEventListener('click', e => {
+            const chip = e.target.closest('.sort-chip');
+            if (!chip) return;
+            format = chip.dataset.format;
+            _updateSummary();
+        });
+        [fieldsEl, deckSelect, pageFrom, pageTo].forEach(el => el.addEventListener('change', _updateSummary));
+        tagsInput.addEventListener('input', _updateSummary);
+        goBtn.addEventListener('click', _export);
+        document.getElementById('export-cancel-btn').addEventListener('click', _close);
+        document.getElementById('export-cards-btn').addEventListener('click', open);
+    }
+
+    return { init, open };
+})();
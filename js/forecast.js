@@ -0,0 +1,129 @@
+/**
+ * Workload forecast
+ * Projects how many reviews fall on each of the coming study days. Every
+ * card that isn't suspended becomes due on the day of its dueDate (overdue
+ * cards today, buried cards not before they come back), and each day takes
+ * what the deck's daily limits allow (DailyLimits.applyLimits): new cards
+ * beyond newPerDay and reviews beyond reviewsPerDay wait for the next day,
+ * so a big import is spread out as it will be in study. Optionally each
+ * projected review is then played forward with the active scheduler as if
+ * answered Good, so the cards come back again inside the window the way
+ * they would if studied. Used by the Statistics screen and the import
+ * screen's what-if preview.
+ */
+
+const FORECAST_DAYS = 30;
+
+// Safety cap on simulated reviews per card (learning steps can repeat
+// several times a day)
+const FORECAST_MAX_REVIEWS = 50;
+
+/**
+ * Reviews per study day from today on
+ * @param {Array} cards - Cards to project
+ * @param {Object} [options]
+ * @param {number} [options.days=FORECAST_DAYS] - Days projected, today first
+ * @param {boolean} [options.simulate=true] - Play reviews forward with the active scheduler
+ * @param {Map} [options.done] - Today's counts so far (DailyLimits.countToday)
+ * @param {Date} [options.now] - Projection start
+ * @returns {Array<number>} One count per day
+ */
+function projectDueCounts(cards, { days = FORECAST_DAYS, simulate = true, done = new Map(), now = new Date() } = {}) {
+    const today = DailyLimits.studyDayStart(now);
+    const dayStart = index => {
+        const start = new Date(today);
+        start.setDate(start.getDate() + index);
+        return start;
+    };
+    const dayIndex = date => Math.max(0, Math.round((DailyLimits.studyDayStart(new Date(date)) - today) / 86400000));
+    const counts = new Array(days).fill(0);
+
+    let pending = [];
+    for (const original of cards) {
+        if (original.suspended) continue;
+        const card = { ...original, ...SM2.migrateCard(original) };
+        if (CardDB.isParked(card, now)) {
+            card.dueDate = new Date(Math.max(new Date(card.dueDate), new Date(card.buriedUntil))).toISOString();
+        }
+        pending.push({ card, reviews: 0 });
+    }
+
+    for (let day = 0; day < days; day++) {
+        const counted = day === 0
+            ? new Map([...done].map(([deckId, n]) => [deckId, { ...n }]))
+            : new Map();
+        const opensAt = Math.max(dayStart(day).getTime(), now.getTime());
+        // Learning steps can bring a card back the same day, so keep taking
+        // what is due and allowed until nothing is left for today
+        for (;;) {
+            const due = pending.filter(p => dayIndex(p.card.dueDate) <= day);
+            const { cards: allowed, newCards } = DailyLimits.applyLimits(due.map(p => p.card), counted);
+            const taken = new Set([...allowed, ...newCards]);
+            if (taken.size === 0) break;
+
+            const reviewed = new Set();
+            for (const entry of due) {
+                const { card } = entry;
+                if (!taken.has(card)) continue;
+                reviewed.add(entry);
+                counts[day]++;
+                if (!counted.has(card.deckId)) counted.set(card.deckId, { new: 0, reviews: 0 });
+                const kind = DailyLimits.limitKind(card);
+                if (kind === 'new') counted.get(card.deckId).new++;
+                else if (kind === 'review') counted.get(card.deckId).reviews++;
+                entry.reviews++;
+                if (simulate) {
+                    const at = new Date(Math.max(new Date(card.dueDate).getTime(), opensAt));
+                    entry.card = SM2.calculateNextReview(card, SM2.QUALITY.GOOD, at);
+                }
+            }
+            pending = pending.filter(p => !reviewed.has(p) || (simulate && p.reviews < FORECAST_MAX_REVIEWS));
+        }
+    }
+    return counts;
+}
+
+/**
+ * Totals for a projection
+ * @param {Array<number>} counts - From projectDueCounts
+ * @param {Date} [now] - Projection start, to date the busiest day
+ * @returns {{total: number, peak: number, peakDate: Date, average: number}}
+ */
+function summarizeForecast(counts, now = new Date()) {
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    const peak = Math.max(0, ...counts);
+    const peakDate = DailyLimits.studyDayStart(now);
+    peakDate.setDate(peakDate.getDate() + Math.max(0, counts.indexOf(peak)));
+    return { total, peak, peakDate, average: counts.length ? total / counts.length : 0 };
+}
+
+/**
+ * Bar chart of a projection, with an optional second projection stacked on
+ * top (the what-if part)
+ * @param {Array<number>} counts - Reviews per day
+ * @param {Array<number>} [added] - Extra reviews per day, same length
+ * @returns {string} HTML
+ */
+function renderForecast(counts, added = null) {
+    const today = DailyLimits.studyDayStart();
+    const bars = counts.map((value, i) => {
+        const date = new Date(today);
+        date.setDate(today.getDate() + i);
+        return {
+            label: i === 0 ? 'Today' : date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' }),
+            value,
+            extra: added ? added[i] : 0
+        };
+    });
+    return Charts.renderBarChart(bars, {
+        format: n => `${n} review${n !== 1 ? 's' : ''}`,
+        className: 'chart-bar-forecast'
+    });
+}
+
+window.Forecast = {
+    FORECAST_DAYS,
+    projectDueCounts,
+    summarizeForecast,
+    renderForecast
+};
@@ -0,0 +1,246 @@
+/**
+ * FSRS scheduler (Free Spaced Repetition Scheduler, v4.5 formulas)
+ * Alternative to the enhanced SM-2 in sm2.js, registered through
+ * SM2.registerScheduler and selectable in Settings.
+ *
+ * Per-card memory state:
+ *   stability  — days until recall probability falls to 90%
+ *   difficulty — 1 (easy) … 10 (hard)
+ *   retrievability is derived: R(t) = (1 + FACTOR·t/S)^DECAY, t = days since last review
+ *
+ * The next interval is the day R would reach the target retention
+ * (default 0.9), capped at the configured maximum interval. New and failed
+ * cards still go through the configured learning / relearning minute steps
+ * before getting a day interval, and the SM-2 fields
+ * (interval, repetitions, dueDate) are kept up to date so the rest of the
+ * app — due queries, sorting, stats — works unchanged.
+ *
+ * Quality → FSRS rating: 0 Again → 1, 2 Hard → 2, 3 Good → 3, 5 Easy → 4
+ * Hard on a minute step waits half way from the previous step, as in SM-2.
+ *
+ * Graduating from the minute steps, a review minutes after the last one
+ * barely moves stability (R is still ≈ 1), so the rating has to decide the
+ * first day interval: a new card starts from at least the stability its
+ * rating gives a fresh card, Hard waits half way from the last step to what
+ * Good would give, and Easy always lands at least a day past Good.
+ */
+
+// Default FSRS-4.5 parameters (w0…w16)
+const FSRS_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+    1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;            // makes R(S) = 0.9
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let targetRetention = 0.9;
+
+function _clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function _stepDue(now, minutes) {
+    return new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+function _rating(quality) {
+    if (quality < 2) return 1;
+    if (quality === 2) return 2;
+    if (quality < 5) return 3;
+    return 4;
+}
+
+function _initStability(rating) {
+    return Math.max(FSRS_WEIGHTS[rating - 1], 0.1);
+}
+
+function _initDifficulty(rating) {
+    return _clamp(FSRS_WEIGHTS[4] - FSRS_WEIGHTS[5] * (rating - 3), 1, 10);
+}
+
+function _nextDifficulty(d, rating) {
+    const next = d - FSRS_WEIGHTS[6] * (rating - 3);
+    // Mean reversion towards the default difficulty
+    return _clamp(FSRS_WEIGHTS[7] * _initDifficulty(3) + (1 - FSRS_WEIGHTS[7]) * next, 1, 10);
+}
+
+function _recallStability(d, s, r, rating) {
+    const hardPenalty = rating === 2 ? FSRS_WEIGHTS[15] : 1;
+    const easyBonus   = rating === 4 ? FSRS_WEIGHTS[16] : 1;
+    return s * (1 + Math.exp(FSRS_WEIGHTS[8]) * (11 - d) * Math.pow(s, -FSRS_WEIGHTS[9]) *
+        (Math.exp(FSRS_WEIGHTS[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+}
+
+function _forgetStability(d, s, r) {
+    const next = FSRS_WEIGHTS[11] * Math.pow(d, -FSRS_WEIGHTS[12]) *
+        (Math.pow(s + 1, FSRS_WEIGHTS[13]) - 1) * Math.exp(FSRS_WEIGHTS[14] * (1 - r));
+    return Math.min(next, s);           // forgetting never makes a memory stronger
+}
+
+/**
+ * Probability of recalling a card after some days
+ * @param {number} elapsedDays - Days since the last review
+ * @param {number} stability - Card stability in days
+ * @returns {number} Retrievability, 0–1
+ */
+function retrievability(elapsedDays, stability) {
+    return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+}
+
+/**
+ * Current retrievability of a card (null for cards never reviewed or
+ * without FSRS state)
+ * @param {Object} card - The card
+ * @param {Date} [now] - Reference time
+ * @returns {number|null}
+ */
+function cardRetrievability(card, now = new Date()) {
+    if (card.stability == null || !card.lastReviewed) return null;
+    return retrievability((now - new Date(card.lastReviewed)) / DAY_MS, card.stability);
+}
+
+/**
+ * Interval in days after which retrievability drops to the target retention
+ * @param {number} stability - Card stability in days
+ * @param {number} [maxInterval] - Upper bound in days
+ * @returns {number} Whole days, at least 1
+ */
+function nextIntervalDays(stability, maxInterval = SM2.DEFAULT_CONFIG.maxInterval) {
+    const days = stability / FSRS_FACTOR * (Math.pow(targetRetention, 1 / FSRS_DECAY) - 1);
+    return _clamp(Math.round(days), 1, maxInterval);
+}
+
+/**
+ * Initial FSRS state for a card scheduled by SM-2. Stability starts at the
+ * current interval (SM-2 intervals aim at roughly 90% recall, the same
+ * target FSRS uses) and difficulty is mapped linearly from the ease factor:
+ * EF 2.5 → default difficulty, EF 1.3 → 10.
+ * @param {Object} card - The card
+ * @returns {Object} { stability, difficulty } to merge, or {} if nothing to do
+ */
+function migrateFromSm2(card) {
+    if (card.stability != null) return {};
+    if (!card.lastReviewed) return { stability: null, difficulty: null };
+
+    const stability = card.interval > 0
+        ? card.interval
+        : _initStability(card.repetitions > 0 ? 3 : 1);
+    const difficulty = _clamp(_initDifficulty(3) + (2.5 - card.easeFactor) * (10 - _initDifficulty(3)) / 1.2, 1, 10);
+    return { stability, difficulty };
+}
+
+/**
+ * FSRS review step
+ * @param {Object} card - The card to update
+ * @param {number} quality - Rating: 0 (Again), 2 (Hard), 3 (Good), or 5 (Easy)
+ * @param {Date} now - Review time
+ * @returns {Object} Updated card with new FSRS and SM-2-compatible values
+ */
+function review(card, quality, now) {
+    const updated = { ...card, ...migrateFromSm2(card) };
+    const rating  = _rating(quality);
+    const config  = SM2.configFor(card.deckId);
+    const learningCount = config.learningSteps.length;
+    const relearning = card.relearnStep != null;
+    const graduating = !(card.interval > 0);      // no day interval yet
+
+    if (updated.stability == null) {
+        updated.stability  = _initStability(rating);
+        updated.difficulty = _initDifficulty(rating);
+    } else {
+        const elapsed = Math.max(0, (now - new Date(card.lastReviewed)) / DAY_MS);
+        const r = retrievability(elapsed, updated.stability);
+        updated.stability = rating === 1
+            ? _forgetStability(updated.difficulty, updated.stability, r)
+            : _recallStability(updated.difficulty, updated.stability, r, rating);
+        updated.difficulty = _nextDifficulty(updated.difficulty, rating);
+    }
+
+    updated.lastReviewed = now.toISOString();
+
+    // Failed review — walk the relearning steps
+    if (rating === 1) {
+        updated.repetitions = 0;
+        updated.interval = 0;
+        updated.relearnStep = 0;
+        updated.dueDate = _stepDue(now, config.relearningSteps[0]);
+        return updated;
+    }
+
+    // Relearning steps; once done the card goes straight back to day
+    // intervals (stability already reflects the lapse)
+    if (updated.relearnStep != null) {
+        if (rating === 2) {
+            updated.dueDate = _stepDue(now, SM2.hardStepMinutes(config.relearningSteps, updated.relearnStep));
+            return updated;
+        }
+        const next = updated.relearnStep + 1;
+        updated.relearnStep = null;
+        if (rating !== 4 && next < config.relearningSteps.length) {
+            updated.relearnStep = next;
+            updated.dueDate = _stepDue(now, config.relearningSteps[next]);
+            return updated;
+        }
+        updated.repetitions = Math.max(updated.repetitions, learningCount);
+    }
+
+    // Learning steps (Easy skips them)
+    const rep = updated.repetitions;
+    if (rep < learningCount && rating !== 4) {
+        updated.interval = 0;
+        updated.repetitions = rating === 2 ? rep : rep + 1;
+        updated.dueDate = _stepDue(now, rating === 2
+            ? SM2.hardStepMinutes(config.learningSteps, rep)
+            : config.learningSteps[rep]);
+        return updated;
+    }
+
+    if (graduating && !relearning) {
+        updated.stability = Math.max(updated.stability, _initStability(rating));
+    }
+    updated.interval = nextIntervalDays(updated.stability, config.maxInterval);
+    if (graduating && rating !== 3) {
+        const good = review(card, 3, now);
+        if (rating === 4 && good.interval > 0) {
+            updated.interval = Math.min(Math.max(updated.interval, good.interval + 1), config.maxInterval);
+        } else if (rating === 2) {
+            // Half way from the last learning step to Good's first interval
+            const lastStep = (config.learningSteps[learningCount - 1] || 0) / (24 * 60);
+            const days = (lastStep + good.interval) / 2;
+            if (days < 1) {
+                updated.interval = 0;
+                updated.dueDate = _stepDue(now, days * 24 * 60);
+                return updated;
+            }
+            updated.interval = Math.floor(days);
+        }
+    }
+    updated.repetitions = Math.max(rep, learningCount) + 1;
+    const dueDate = new Date(now);
+    dueDate.setDate(dueDate.getDate() + updated.interval);
+    updated.dueDate = dueDate.toISOString();
+    return updated;
+}
+
+/**
+ * @param {number} value - Desired retention, clamped to 0.7–0.99
+ */
+function setTargetRetention(value) {
+    targetRetention = _clamp(Number(value) || 0.9, 0.7, 0.99);
+}
+
+function getTargetRetention() {
+    return targetRetention;
+}
+
+SM2.registerScheduler({ id: 'fsrs', label: 'FSRS', review, migrate: migrateFromSm2 });
+
+window.FSRS = {
+    retrievability,
+    cardRetrievability,
+    nextIntervalDays,
+    migrateFromSm2,
+    setTargetRetention,
+    getTargetRetention
+};
@@ -0,0 +1,120 @@
+/**
+ * Card history modal
+ * One card's full review timeline with its ease-factor and interval
+ * trajectories, opened from the Manage list and the Statistics leech list.
+ */
+window.CardHistory = (function () {
+    'use strict';
+
+    const ANSWER_LABELS = {
+        [SM2.QUALITY.AGAIN]: { label: 'Again', className: 'answer-again' },
+        [SM2.QUALITY.HARD]:  { label: 'Hard',  className: 'answer-hard' },
+        [SM2.QUALITY.GOOD]:  { label: 'Good',  className: 'answer-good' },
+        [SM2.QUALITY.EASY]:  { label: 'Easy',  className: 'answer-easy' }
+    };
+
+    const MODE_LABELS = { study: 'Study', practice: 'Practice', page: 'Page', tag: 'Tag', quiz: 'Quiz' };
+
+    let modal, title, meta, summary, charts, easeChart, intervalChart, timeline, fsrsHint;
+
+    function _formatInterval(days) {
+        if (!days) return '<1d';
+        if (days < 30) return `${days}d`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${Math.round(days / 36.5) / 10}y`;
+    }
+
+    function _formatDate(iso) {
+        return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    function _renderSummary(card, reviews) {
+        const tests = reviews.filter(Retention.isRecallTest);
+        const passed = tests.filter(r => r.quality > SM2.QUALITY.AGAIN).length;
+        const lapses = reviews.filter(Retention.isLapse).length;
+        summary.innerHTML = `
+            <div class="stat-box">
+                <span class="stat-number">${reviews.length}</span>
+                <span class="stat-label">Reviews</span>
+            </div>
+            <div class="stat-box">
+                <span class="stat-number">${lapses}</span>
+                <span class="stat-label">Lapses</span>
+            </div>
+            <div class="stat-box">
+                <span class="stat-number">${tests.length ? `${Math.round((passed / tests.length) * 100)}%` : '—'}</span>
+                <span class="stat-label">Remembered</span>
+            </div>`;
+        const due = new Date(card.dueDate).toLocaleDateString(undefined, { dateStyle: 'medium' });
+        const phase = StatsModule.phaseOf(card);
+        meta.textContent = `${phase[0].toUpperCase()}${phase.slice(1)} · interval ${_formatInterval(card.interval)} · ease ${(card.easeFactor || 0).toFixed(2)} · due ${due}`;
+    }
+
+    function _renderTimeline(reviews) {
+        if (reviews.length === 0) {
+            timeline.innerHTML = '<li class="setting-hint">Not reviewed yet.</li>';
+            return;
+        }
+        // Newest first
+        timeline.innerHTML = reviews.slice().reverse().map(r => {
+            const answer = ANSWER_LABELS[r.quality] || { label: String(r.quality), className: '' };
+            return `
+                <li class="history-item">
+                    <span class="chart-swatch ${answer.className}"></span>
+                    <span class="history-answer">${answer.label}</span>
+                    <span class="history-date">${UI.escapeHtml(_formatDate(r.timestamp))}</span>
+                    <span class="history-detail">${_formatInterval(r.prevInterval)} → ${_formatInterval(r.nextInterval)} · ${MODE_LABELS[r.mode] || UI.escapeHtml(r.mode || '')}${r.isNew ? ' · first' : ''}</span>
+                </li>`;
+        }).join('');
+    }
+
+    /**
+     * Show a card's history
+     * @param {string} cardId - Card ID
+     * @returns {Promise<void>}
+     */
+    async function open(cardId) {
+        const [card, reviews] = await Promise.all([CardDB.getCard(cardId), CardDB.getReviewsForCard(cardId)]);
+        if (!card) { UI.showToast('Card not found'); return; }
+
+        title.textContent = `${card.front} → ${card.back}`;
+        _renderSummary(card, reviews);
+
+        const dated = r => new Date(r.timestamp).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+        const eases = reviews.filter(r => typeof r.easeFactor === 'number');
+        easeChart.innerHTML = eases.length
+            ? Charts.renderLineChart(eases.map(r => ({ label: dated(r), value: r.easeFactor })), { format: v => v.toFixed(2) })
+            : '';
+        intervalChart.innerHTML = reviews.length
+            ? Charts.renderLineChart(reviews.map(r => ({ label: dated(r), value: r.nextInterval || 0 })),
+                { format: _formatInterval, className: 'chart-path-interval' })
+            : '';
+        charts.classList.toggle('hidden', reviews.length === 0);
+        // FSRS keeps the ease factor as it was; its progress shows in the intervals
+        fsrsHint.classList.toggle('hidden', card.stability == null);
+
+        _renderTimeline(reviews);
+        modal.classList.remove('hidden');
+    }
+
+    function _close() {
+        modal.classList.add('hidden');
+    }
+
+    function init() {
+        modal         = document.getElementById('history-modal');
+        title         = document.getElementById('history-title');
+        meta          = document.getElementById('history-meta');
+        charts        = document.getElementById('history-charts');
+        summary       = document.getElementById('history-summary');
+        easeChart     = document.getElementById('history-ease');
+        intervalChart = document.getElementById('history-interval');
+        timeline      = document.getElementById('history-timeline');
+        fsrsHint      = document.getElementById('history-fsrs-hint');
+
+        document.getElementById('history-close-btn').addEventListener('click', _close);
+        modal.addEventListener('click', e => { if (e.target === modal) _close(); });
+    }
+
+    return { init, open };
+})();
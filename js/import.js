@@ -8,12 +8,17 @@
  * - Everything after first comma is the back
  * - Empty lines are ignored
  * - Whitespace is trimmed
+ * - Trailing #tags (after a space or comma) become card tags:
+ *   `kot,cat #animals #lesson-7` or `kot,cat,#animals`
  */
 
+// One or more #tags at the very end of the back, after a space or comma
+const TAG_SUFFIX = /[\s,]+((?:#[^\s,#]+[\s,]*)+)$/;
+
 /**
  * Parse import text into card objects
  * @param {string} text - Raw import text
- * @returns {Array} Array of parsed cards (front/back only)
+ * @returns {Array} Array of parsed cards ({front, back, tags})
  */
 function parseImportText(text) {
     if (!text || typeof text !== 'string') {
@@ -41,14 +46,22 @@ function parseImportText(text) {
 
         // Extract front and back
         const front = trimmed.substring(0, commaIndex).trim();
-        const back = trimmed.substring(commaIndex + 1).trim();
+        let back = trimmed.substring(commaIndex + 1).trim();
+
+        // Split off trailing #tags
+        let tags = [];
+        const tagMatch = back.match(TAG_SUFFIX);
+        if (tagMatch) {
+            tags = Tags.parseTagList(tagMatch[1]);
+            back = back.substring(0, tagMatch.index).trim();
+        }
 
         // Skip if either side is empty
         if (!front || !back) {
             continue;
         }
 
-        cards.push({ front, back });
+        cards.push({ front, back, tags });
     }
 
     return cards;
@@ -65,23 +78,25 @@ function countValidCards(text) {
 
 /**
  * Convert parsed cards to full card objects with SM-2 defaults
- * @param {Array} parsedCards - Array of {front, back} objects
+ * @param {Array} parsedCards - Array of {front, back, tags, anchor?, example?} objects
+ * @param {string} [deckId] - Deck the new cards belong to
  * @returns {Array} Array of full card objects
  */
-function convertToCards(parsedCards) {
-    return parsedCards.map(({ front, back }) => {
-        return window.CardDB.createCard(front, back);
+function convertToCards(parsedCards, deckId) {
+    return parsedCards.map(({ front, back, tags, anchor = '', example = '' }) => {
+        return { ...window.CardDB.createCard(front, back, deckId), tags: tags || [], anchor, example };
     });
 }
 
 /**
  * Full import pipeline: parse text and create card objects
  * @param {string} text - Raw import text
+ * @param {string} [deckId] - Deck the new cards belong to
  * @returns {Array} Array of ready-to-save card objects
  */
-function importFromText(text) {
+function importFromText(text, deckId) {
     const parsed = parseImportText(text);
-    return convertToCards(parsed);
+    return convertToCards(parsed, deckId);
 }
 
 // Export parser functions
@@ -94,74 +109,472 @@ window.ImportParser = {
 
 /**
  * Import screen UI module
+ * Three tabs: the line-based text format above, CSV / TSV files (csv.js)
+ * with a column mapping and preview, and Anki packages (anki.js) with a
+ * field mapping per note type. Whatever tab is open, a what-if chart shows
+ * how the pending cards would change the target deck's next 30 days
+ * (forecast.js).
  */
 window.ImportModule = (function () {
     'use strict';
 
-    let textarea, preview, submitBtn;
+    const CSV_PREVIEW_ROWS = 50;
+    const FORECAST_DELAY_MS = 300;      // Wait for typing to pause before re-projecting
+    const FIELD_LABELS = { '': 'Ignore', front: 'Front', back: 'Back', anchor: 'Anchor', tags: 'Tags', example: 'Example' };
+
+    let textarea, preview, submitBtn, deckSelect;
+    let tabs, textPanel, csvPanel, activeTab = 'text';
+    let forecastBox, forecastChart, forecastSummary, forecastTimer = null;
+    let csvTextarea, csvFile, csvFileName, csvDelimiter, csvHeader, csvPreview, csvSummary, csvSubmitBtn;
+    let ankiPanel, ankiFile, ankiFileName, ankiNoteTypes, ankiSchedulingRow, ankiKeepScheduling;
+    let ankiPreview, ankiSummary, ankiSubmitBtn;
+    let duplicateModal, duplicateIntro, duplicateBulk, duplicateList;
+
+    // Parsed CSV state; the mapping is rebuilt whenever the text or parse
+    // options change and edited in place by the column selects
+    let csvRows = [], csvHasHeader = false, csvMapping = [];
+
+    // Loaded Anki package and the field mapping per note type id:
+    // { front, back, anchor, example } as field indexes, -1 = none
+    let ankiPkg = null, ankiMappings = {};
+
+    // Open duplicate review: one action per suspected duplicate
+    // ('skip' | 'keep' | 'merge') and the resolver of _reviewDuplicates
+    let duplicateActions = [], resolveDuplicates = null;
 
     function _handleInput() {
         const count = ImportParser.countValidCards(textarea.value);
         preview.textContent = count > 0 ? `${count} card${count !== 1 ? 's' : ''} ready` : '';
         submitBtn.disabled  = count === 0;
+        _scheduleForecast();
     }
 
     async function _submit() {
-        const cards = ImportParser.importFromText(textarea.value);
-        if (cards.length === 0) { UI.showToast('No valid cards to import'); return; }
+        const deckId = deckSelect.value;
+        const cards = ImportParser.importFromText(textarea.value, deckId);
+        if (await _importCards(cards, deckId)) {
+            textarea.value = '';
+            _handleInput();
+        }
+    }
+
+    function _showTab(tab) {
+        activeTab = tab;
+        tabs.querySelectorAll('.sort-chip').forEach(c => c.classList.toggle('active', c.dataset.tab === tab));
+        textPanel.classList.toggle('hidden', tab !== 'text');
+        csvPanel.classList.toggle('hidden', tab !== 'csv');
+        ankiPanel.classList.toggle('hidden', tab !== 'anki');
+        _scheduleForecast();
+    }
+
+    // ── CSV / TSV ────────────────────────────────────────────────────────────
+
+    function _parseCsv() {
+        // Anki plain-text exports describe themselves in leading #key:value lines
+        const anki = CSVParser.readDirectives(csvTextarea.value);
+        const text = anki.text;
+        const delimiter = csvDelimiter.value !== 'auto' ? csvDelimiter.value
+            : anki.delimiter || CSVParser.detectDelimiter(text);
+        csvRows = text.trim() ? CSVParser.parseDelimited(text, delimiter) : [];
+        if (anki.html) csvRows = csvRows.map(row => row.map(AnkiImport.htmlToText));
+        if (anki.columns && csvHeader.value === 'auto') {
+            csvRows.unshift(anki.columns);
+            csvHasHeader = true;
+        } else {
+            csvHasHeader = csvHeader.value === 'auto' ? CSVParser.looksLikeHeader(csvRows) : csvHeader.value === 'yes';
+        }
+        csvMapping = CSVParser.guessMapping(csvRows, csvHasHeader);
+        if (anki.ignoreColumns.length > 0) {
+            // Positional fields skip Anki's guid / notetype / deck columns
+            const fields = CSVParser.FIELDS.filter(f => f !== 'tags');
+            csvMapping = csvMapping.map((field, col) => {
+                if (anki.ignoreColumns.includes(col) || col === anki.tagsColumn) return '';
+                return csvHasHeader ? field : fields.shift() || '';
+            });
+        }
+        if (anki.tagsColumn !== null && anki.tagsColumn < csvMapping.length) {
+            csvMapping = csvMapping.map(f => f === 'tags' ? '' : f);
+            csvMapping[anki.tagsColumn] = 'tags';
+        }
+        _renderCsvPreview();
+    }
+
+    function _csvCards() {
+        const fields = CSVParser.mapRows(csvRows, csvMapping, csvHasHeader).filter(r => r.fields).map(r => r.fields);
+        return ImportParser.convertToCards(fields, deckSelect.value);
+    }
 
+    function _renderCsvPreview() {
+        const mapped = CSVParser.mapRows(csvRows, csvMapping, csvHasHeader);
+        const valid  = mapped.filter(r => r.fields).length;
+        const errors = mapped.length - valid;
+        _scheduleForecast();
+
+        csvPreview.classList.toggle('hidden', csvRows.length === 0);
+        csvSubmitBtn.disabled = valid === 0;
+        csvSummary.textContent = csvRows.length === 0 ? ''
+            : `${valid} card${valid !== 1 ? 's' : ''} ready` + (errors ? ` · ${errors} row${errors !== 1 ? 's' : ''} skipped` : '');
+        if (csvRows.length === 0) { csvPreview.innerHTML = ''; return; }
+
+        const names = csvHasHeader ? csvRows[0] : [];
+        const selects = csvMapping.map((field, col) => `
+            <th>
+                ${names[col] ? `<span class="csv-col-name">${UI.escapeHtml(names[col])}</span>` : ''}
+                <select data-col="${col}">
+                    ${Object.entries(FIELD_LABELS).map(([value, label]) =>
+                        `<option value="${value}"${value === field ? ' selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </th>`).join('');
+
+        const body = csvHasHeader ? csvRows.slice(1) : csvRows;
+        const rows = mapped.slice(0, CSV_PREVIEW_ROWS).map((r, i) => `
+            <tr class="${r.error ? 'csv-row-error' : ''}">
+                <td class="csv-line">${r.line}</td>
+                ${csvMapping.map((_, col) => `<td>${UI.escapeHtml(body[i][col] || '')}</td>`).join('')}
+                <td class="csv-error">${r.error ? UI.escapeHtml(r.error) : ''}</td>
+            </tr>`).join('');
+        const more = mapped.length > CSV_PREVIEW_ROWS
+            ? `<p class="csv-more">…and ${mapped.length - CSV_PREVIEW_ROWS} more rows</p>` : '';
+
+        csvPreview.innerHTML = `
+            <table class="csv-table">
+                <thead><tr><th></th>${selects}<th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>${more}`;
+    }
+
+    function _mapColumn(col, field) {
+        // A field maps to at most one column
+        if (field) csvMapping = csvMapping.map(f => f === field ? '' : f);
+        csvMapping[col] = field;
+        _renderCsvPreview();
+    }
+
+    async function _loadCsvFile(file) {
         try {
-            const existing      = await CardDB.getAllCards();
-            const existingFronts = new Set(existing.map(c => c.front.toLowerCase().trim()));
-
-            const newCards = [], duplicates = [];
-            for (const card of cards) {
-                const key = card.front.toLowerCase().trim();
-                if (existingFronts.has(key)) {
-                    duplicates.push(card.front);
-                } else {
-                    newCards.push(card);
-                    existingFronts.add(key);
-                }
-            }
+            csvTextarea.value = await file.text();
+            csvFileName.textContent = file.name;
+            // .tsv files are tab separated whatever the sample suggests
+            if (/\.tsv$/i.test(file.name)) csvDelimiter.value = '\t';
+            _parseCsv();
+        } catch (e) {
+            UI.showToast('Could not read that file');
+        }
+    }
+
+    async function _submitCsv() {
+        if (await _importCards(_csvCards(), deckSelect.value)) {
+            csvTextarea.value = '';
+            csvFileName.textContent = '';
+            _parseCsv();
+        }
+    }
+
+    // ── Anki ─────────────────────────────────────────────────────────────────
+
+    async function _loadAnkiFile(file) {
+        ankiFileName.textContent = `Reading ${file.name}…`;
+        try {
+            ankiPkg = await AnkiImport.readPackage(file);
+        } catch (e) {
+            console.error('Anki import error:', e);
+            ankiPkg = null;
+            ankiFileName.textContent = '';
+            UI.showToast(e.message || 'Could not read that package');
+            _renderAnki();
+            return;
+        }
+        ankiFileName.textContent = file.name;
+        ankiMappings = {};
+        for (const nt of ankiPkg.noteTypes) {
+            // Fields named like an anchor or example are picked up by default
+            const named = re => nt.fields.findIndex(f => re.test(f));
+            ankiMappings[nt.id] = {
+                front: 0,
+                back: nt.cloze ? -1 : Math.min(1, nt.fields.length - 1),
+                anchor: named(/mnemonic|anchor|hint/i),
+                example: named(/example|sentence/i)
+            };
+        }
+        _renderAnki();
+    }
+
+    function _fieldSelect(nt, role) {
+        const options = [{ i: -1, name: '—' }, ...nt.fields.map((name, i) => ({ i, name }))];
+        return `<select data-note-type="${nt.id}" data-role="${role}">
+            ${options.map(o => `<option value="${o.i}"${o.i === ankiMappings[nt.id][role] ? ' selected' : ''}>${UI.escapeHtml(o.name)}</option>`).join('')}
+        </select>`;
+    }
+
+    function _renderAnki() {
+        const loaded = ankiPkg !== null;
+        ankiSchedulingRow.classList.toggle('hidden', !loaded);
+        ankiNoteTypes.innerHTML = loaded ? ankiPkg.noteTypes.map(nt => `
+            <div class="anki-note-type">
+                <h4>${UI.escapeHtml(nt.name)} <span class="form-hint">${nt.count} note${nt.count !== 1 ? 's' : ''}${nt.cloze ? ' · cloze: front hides the deletions' : ''}</span></h4>
+                <div class="anki-fields">
+                    <label>Front ${_fieldSelect(nt, 'front')}</label>
+                    ${nt.cloze ? '' : `<label>Back ${_fieldSelect(nt, 'back')}</label>`}
+                    <label>Anchor ${_fieldSelect(nt, 'anchor')}</label>
+                    <label>Example ${_fieldSelect(nt, 'example')}</label>
+                </div>
+            </div>`).join('') : '';
+        _renderAnkiPreview();
+    }
+
+    function _ankiCards() {
+        return AnkiImport.toCards(ankiPkg, ankiMappings, {
+            deckId: deckSelect.value,
+            keepScheduling: ankiKeepScheduling.checked
+        });
+    }
+
+    function _renderAnkiPreview() {
+        const cards = ankiPkg ? _ankiCards() : [];
+        const skipped = ankiPkg ? ankiPkg.notes.length - cards.length : 0;
+        _scheduleForecast();
+        ankiSubmitBtn.disabled = cards.length === 0;
+        ankiSummary.textContent = !ankiPkg ? ''
+            : `${cards.length} card${cards.length !== 1 ? 's' : ''} ready` + (skipped ? ` · ${skipped} note${skipped !== 1 ? 's' : ''} with an empty side skipped` : '');
+        ankiPreview.classList.toggle('hidden', cards.length === 0);
+        if (cards.length === 0) { ankiPreview.innerHTML = ''; return; }
+
+        const dateFmt = new Intl.DateTimeFormat(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+        const rows = cards.slice(0, CSV_PREVIEW_ROWS).map(c => `
+            <tr>
+                <td>${UI.escapeHtml(c.front)}</td>
+                <td>${UI.escapeHtml(c.back)}</td>
+                <td>${c.lastReviewed ? `${c.interval}d · ${dateFmt.format(new Date(c.dueDate))}` : 'new'}${c.suspended ? ' · suspended' : c.buriedUntil ? ' · buried' : ''}</td>
+            </tr>`).join('');
+        const more = cards.length > CSV_PREVIEW_ROWS
+            ? `<p class="csv-more">…and ${cards.length - CSV_PREVIEW_ROWS} more cards</p>` : '';
+        ankiPreview.innerHTML = `
+            <table class="csv-table">
+                <thead><tr><th>Front</th><th>Back</th><th>Schedule</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>${more}`;
+    }
 
-            if (duplicates.length > 0 && newCards.length > 0) {
-                const msg = `Found ${duplicates.length} duplicate(s):\n\n` +
-                    duplicates.slice(0, 5).join(', ') +
-                    (duplicates.length > 5 ? `\n...and ${duplicates.length - 5} more` : '') +
-                    `\n\nImport ${newCards.length} new card(s)?`;
-                if (!confirm(msg)) return;
-            } else if (duplicates.length > 0 && newCards.length === 0) {
+    async function _submitAnki() {
+        if (await _importCards(_ankiCards(), deckSelect.value)) {
+            ankiPkg = null;
+            ankiFileName.textContent = '';
+            _renderAnki();
+        }
+    }
+
+    // ── what-if forecast ─────────────────────────────────────────────────────
+
+    function _pendingCards() {
+        if (activeTab === 'csv')  return _csvCards();
+        if (activeTab === 'anki') return ankiPkg ? _ankiCards() : [];
+        return ImportParser.importFromText(textarea.value, deckSelect.value);
+    }
+
+    function _scheduleForecast() {
+        clearTimeout(forecastTimer);
+        forecastTimer = setTimeout(_renderForecast, FORECAST_DELAY_MS);
+    }
+
+    async function _renderForecast() {
+        const cards = _pendingCards();
+        forecastBox.classList.toggle('hidden', cards.length === 0);
+        if (cards.length === 0) return;
+
+        const [existing, done] = await Promise.all([CardDB.getAllCards(deckSelect.value), DailyLimits.countToday()]);
+        // Projected together, since the pending cards share the deck's daily
+        // limits with the cards already in it
+        const before = Forecast.projectDueCounts(existing, { done });
+        const combined = Forecast.projectDueCounts([...existing, ...cards], { done });
+        const added = combined.map((n, i) => Math.max(0, n - before[i]));
+        const now = Forecast.summarizeForecast(before);
+        const after = Forecast.summarizeForecast(combined);
+        const day = date => date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+        forecastChart.innerHTML = Forecast.renderForecast(before, added);
+        forecastSummary.textContent = `${now.total} reviews due in ${DeckModule.nameOf(deckSelect.value)} over the next 30 days; `
+            + `${after.total} with these ${cards.length} card${cards.length !== 1 ? 's' : ''}. `
+            + `Busiest day: ${now.peak} → ${after.peak} reviews (${day(after.peakDate)}).`;
+    }
+
+    /**
+     * Save new cards. Suspected duplicates of cards in the target deck
+     * (see duplicates.js) are listed for the learner to skip, keep or merge;
+     * repeats within the import itself are dropped.
+     * @param {Array} cards - Card objects from convertToCards
+     * @param {string} deckId - Target deck
+     * @returns {Promise<boolean>} True if the import went through
+     */
+    async function _importCards(cards, deckId) {
+        if (cards.length === 0) { UI.showToast('No valid cards to import'); return false; }
+
+        try {
+            // Duplicates are checked within the target deck only — the same
+            // word may legitimately live in two decks.
+            const existing = await CardDB.getAllCards(deckId);
+            const { fresh, duplicates, repeated } = Duplicates.findImportDuplicates(cards, existing);
+
+            const actions = duplicates.length > 0 ? await _reviewDuplicates(duplicates, fresh.length) : [];
+            if (actions === null) return false;
+
+            const newCards = [...fresh, ...duplicates.filter((d, i) => actions[i] === 'keep').map(d => d.card)];
+            const merges = duplicates.filter((d, i) => actions[i] === 'merge');
+            const skipped = repeated + actions.filter(a => a === 'skip').length;
+            if (newCards.length === 0 && merges.length === 0) {
                 UI.showToast('All cards already exist');
-                return;
+                return false;
             }
 
-            if (newCards.length > 0) {
-                await CardDB.addCardsWithPlacement(newCards);
-                let msg = `Imported ${newCards.length} card${newCards.length !== 1 ? 's' : ''}`;
-                if (duplicates.length > 0) msg += `, ${duplicates.length} skipped`;
-                UI.showToast(msg);
-            }
+            await CardDB.addImportedCards(newCards, merges.map(({ card, existing: saved, kind }) =>
+                ({ id: saved.id, updates: Duplicates.mergeCardFields(saved, card, kind) })));
+            const parts = [`Imported ${newCards.length} card${newCards.length !== 1 ? 's' : ''}`];
+            if (merges.length > 0) parts.push(`${merges.length} merged`);
+            if (skipped > 0) parts.push(`${skipped} skipped`);
+            UI.showToast(parts.join(', '));
 
-            textarea.value = '';
-            _handleInput();
             await StatsModule.update();
             UI.showScreen('home');
+            return true;
         } catch (e) {
             console.error('Import error:', e);
             UI.showToast('Error importing cards');
+            return false;
         }
     }
 
+    // ── duplicate review ─────────────────────────────────────────────────────
+
+    /**
+     * Ask what to do with each suspected duplicate
+     * @param {Array<{card, existing, kind}>} duplicates - From Duplicates.findImportDuplicates
+     * @param {number} freshCount - Cards that will be imported regardless
+     * @returns {Promise<Array<string>|null>} One action per duplicate, or null if cancelled
+     */
+    function _reviewDuplicates(duplicates, freshCount) {
+        duplicateActions = duplicates.map(() => 'skip');
+        duplicateIntro.textContent = `${duplicates.length} card${duplicates.length !== 1 ? 's' : ''} look like ` +
+            `cards already in this deck` + (freshCount ? `; ${freshCount} other${freshCount !== 1 ? 's' : ''} will be imported.` : '.') +
+            ' Merge adds the new answer as an alternative and keeps the further-along schedule.';
+        duplicateList.innerHTML = duplicates.map((pair, i) => `
+            <div class="dup-item">
+                ${Duplicates.renderDuplicatePair(pair)}
+                <div class="dup-actions" data-index="${i}">
+                    <button class="sort-chip" data-action="skip">Skip</button>
+                    <button class="sort-chip" data-action="keep">Keep both</button>
+                    <button class="sort-chip" data-action="merge">Merge</button>
+                </div>
+            </div>`).join('');
+        _renderDuplicateActions();
+        duplicateModal.classList.remove('hidden');
+        return new Promise(resolve => { resolveDuplicates = resolve; });
+    }
+
+    function _renderDuplicateActions() {
+        duplicateList.querySelectorAll('.dup-actions').forEach(row => {
+            const action = duplicateActions[Number(row.dataset.index)];
+            row.querySelectorAll('.sort-chip').forEach(chip => chip.classList.toggle('active', chip.dataset.action === action));
+        });
+    }
+
+    function _closeDuplicates(actions) {
+        duplicateModal.classList.add('hidden');
+        const resolve = resolveDuplicates;
+        resolveDuplicates = null;
+        if (resolve) resolve(actions);
+    }
+
+    function open() {
+        DeckModule.fillSelect(deckSelect, DeckModule.defaultDeckId());
+        UI.showScreen('import');
+        _scheduleForecast();
+    }
+
     function init() {
-        textarea  = document.getElementById('import-textarea');
-        preview   = document.getElementById('import-preview');
-        submitBtn = document.getElementById('import-submit-btn');
+        textarea   = document.getElementById('import-textarea');
+        preview    = document.getElementById('import-preview');
+        submitBtn  = document.getElementById('import-submit-btn');
+        deckSelect = document.getElementById('import-deck');
+        tabs       = document.getElementById('import-tabs');
+        textPanel  = document.getElementById('import-text-panel');
+        csvPanel   = document.getElementById('import-csv-panel');
+        csvTextarea  = document.getElementById('csv-textarea');
+        csvFile      = document.getElementById('csv-file');
+        csvFileName  = document.getElementById('csv-file-name');
+        csvDelimiter = document.getElementById('csv-delimiter');
+        csvHeader    = document.getElementById('csv-header');
+        csvPreview   = document.getElementById('csv-preview');
+        csvSummary   = document.getElementById('csv-summary');
+        csvSubmitBtn = document.getElementById('csv-submit-btn');
+        ankiPanel          = document.getElementById('import-anki-panel');
+        ankiFile           = document.getElementById('anki-file');
+        ankiFileName       = document.getElementById('anki-file-name');
+        ankiNoteTypes      = document.getElementById('anki-note-types');
+        ankiSchedulingRow  = document.getElementById('anki-scheduling-row');
+        ankiKeepScheduling = document.getElementById('anki-keep-scheduling');
+        ankiPreview        = document.getElementById('anki-preview');
+        ankiSummary        = document.getElementById('anki-summary');
+        ankiSubmitBtn      = document.getElementById('anki-submit-btn');
+        forecastBox     = document.getElementById('import-forecast');
+        forecastChart   = document.getElementById('import-forecast-chart');
+        forecastSummary = document.getElementById('import-forecast-summary');
+        duplicateModal = document.getElementById('duplicate-modal');
+        duplicateIntro = document.getElementById('duplicate-intro');
+        duplicateBulk  = document.getElementById('duplicate-bulk');
+        duplicateList  = document.getElementById('duplicate-list');
 
         textarea.addEventListener('input', _handleInput);
         submitBtn.addEventListener('click', _submit);
+
+        tabs.addEventListener('click', e => {
+            const chip = e.target.closest('.sort-chip');
+            if (chip) _showTab(chip.dataset.tab);
+        });
+        csvTextarea.addEventListener('input', () => {
+            csvFileName.textContent = '';
+            _parseCsv();
+        });
+        csvFile.addEventListener('change', () => {
+            if (csvFile.files[0]) _loadCsvFile(csvFile.files[0]);
+            csvFile.value = '';
+        });
+        csvDelimiter.addEventListener('change', _parseCsv);
+        csvHeader.addEventListener('change', _parseCsv);
+        csvPreview.addEventListener('change', e => {
+            if (e.target.dataset.col !== undefined) _mapColumn(Number(e.target.dataset.col), e.target.value);
+        });
+        csvSubmitBtn.addEventListener('click', _submitCsv);
+
+        ankiFile.addEventListener('change', () => {
+            if (ankiFile.files[0]) _loadAnkiFile(ankiFile.files[0]);
+            ankiFile.value = '';
+        });
+        ankiNoteTypes.addEventListener('change', e => {
+            const { noteType, role } = e.target.dataset;
+            if (!noteType) return;
+            ankiMappings[noteType][role] = Number(e.target.value);
+            _renderAnkiPreview();
+        });
+        ankiKeepScheduling.addEventListener('change', _renderAnkiPreview);
+        // Scheduling follows the target deck's schedule config
+        deckSelect.addEventListener('change', () => { if (ankiPkg) _renderAnkiPreview(); });
+        deckSelect.addEventListener('change', _scheduleForecast);
+        ankiSubmitBtn.addEventListener('click', _submitAnki);
+
+        duplicateList.addEventListener('click', e => {
+            const chip = e.target.closest('.sort-chip');
+            if (!chip) return;
+            duplicateActions[Number(chip.parentElement.dataset.index)] = chip.dataset.action;
+            _renderDuplicateActions();
+        });
+        duplicateBulk.addEventListener('click', e => {
+            const chip = e.target.closest('.sort-chip');
+            if (!chip) return;
+            duplicateActions = duplicateActions.map(() => chip.dataset.action);
+            _renderDuplicateActions();
+        });
+        document.getElementById('duplicate-cancel-btn').addEventListener('click', () => _closeDuplicates(null));
+        document.getElementById('duplicate-confirm-btn').addEventListener('click', () => _closeDuplicates(duplicateActions));
         document.getElementById('import-back-btn').addEventListener('click', () => UI.showScreen('home'));
     }
 
-    return { init };
+    return { init, open };
 })();
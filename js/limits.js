@@ -0,0 +1,151 @@
+/**
+ * Daily limits
+ * Caps how many new cards are introduced and how many review cards are
+ * shown per study day, per deck (newPerDay / reviewsPerDay in the schedule
+ * config, see SM2.configFor). A study day starts at a configurable hour, so
+ * a session past midnight still counts towards the evening before.
+ *
+ * The counters are not stored: they are read back from today's review log,
+ * so undoing a review gives its place back and reviews synced from another
+ * device count too. Practice All doesn't count — it is extra study on top
+ * of the schedule. Cards in their (re)learning minute steps are never held
+ * back; stopping halfway through the steps would leave them half-learned.
+ */
+
+const DEFAULT_DAY_START = 4;    // hour the study day starts (0–23)
+
+// Review modes that count towards the limits
+const LIMITED_MODES = ['study', 'page', 'tag', 'quiz'];
+
+let dayStartHour = DEFAULT_DAY_START;
+
+/**
+ * Set the hour a new study day starts (Settings → Scheduling)
+ * @param {number|string} hour - 0–23; invalid values are ignored
+ */
+function setDayStart(hour) {
+    const n = Number(hour);
+    if (Number.isInteger(n) && n >= 0 && n <= 23) dayStartHour = n;
+}
+
+function getDayStart() {
+    return dayStartHour;
+}
+
+/**
+ * Start of the study day a time falls in
+ * @param {Date} [now] - Reference time
+ * @returns {Date}
+ */
+function studyDayStart(now = new Date()) {
+    const start = new Date(now);
+    start.setHours(dayStartHour, 0, 0, 0);
+    if (start > now) start.setDate(start.getDate() - 1);
+    return start;
+}
+
+/**
+ * Start of the next study day (when buried cards come back)
+ * @param {Date} [now] - Reference time
+ * @returns {Date}
+ */
+function nextDayStart(now = new Date()) {
+    const next = studyDayStart(now);
+    next.setDate(next.getDate() + 1);
+    return next;
+}
+
+/**
+ * Kind of a due card as far as the limits go
+ * @param {Object} card - Card
+ * @returns {'new'|'learning'|'review'}
+ */
+function limitKind(card) {
+    if (!card.lastReviewed) return 'new';
+    return card.interval > 0 ? 'review' : 'learning';
+}
+
+/**
+ * New cards introduced and review cards answered so far today, per deck
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Map<string, {new: number, reviews: number}>>}
+ */
+async function countToday(now = new Date()) {
+    const reviews = (await CardDB.getReviewsSince(studyDayStart(now).toISOString()))
+        .filter(r => LIMITED_MODES.includes(r.mode));
+    const cards = await CardDB.getAllCards();
+    const deckOf = new Map(cards.map(c => [c.id, c.deckId]));
+    const counts = new Map();
+    for (const r of reviews) {
+        if (!deckOf.has(r.cardId)) continue;
+        const deckId = deckOf.get(r.cardId);
+        if (!counts.has(deckId)) counts.set(deckId, { new: 0, reviews: 0 });
+        if (r.isNew) counts.get(deckId).new++;
+        else if (r.prevInterval > 0) counts.get(deckId).reviews++;
+    }
+    return counts;
+}
+
+function _newCardSorter(order) {
+    if (order === 'notebook') {
+        return (a, b) => (a.notebookPage ?? Infinity) - (b.notebookPage ?? Infinity)
+            || (a.notebookSlot ?? 0) - (b.notebookSlot ?? 0);
+    }
+    return (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+/**
+ * The due cards allowed today: every learning card, the most overdue
+ * review cards up to what is left of the review limit and the first new
+ * cards (in the deck's new card order) up to what is left of the new limit
+ * @param {Array} cards - Due cards (CardDB.getDueCards)
+ * @param {Map<string, {new: number, reviews: number}>} done - From countToday
+ * @returns {{cards: Array, newCards: Array}} cards are the learning and
+ *   review cards; newCards are in the order they should be introduced
+ */
+function applyLimits(cards, done) {
+    const byDeck = new Map();
+    for (const card of cards) {
+        if (!byDeck.has(card.deckId)) byDeck.set(card.deckId, []);
+        byDeck.get(card.deckId).push(card);
+    }
+
+    const allowed = [], newCards = [];
+    for (const [deckId, deckCards] of byDeck) {
+        const config = SM2.configFor(deckId);
+        const { new: newDone, reviews: reviewsDone } = done.get(deckId) || { new: 0, reviews: 0 };
+        const fresh = deckCards.filter(c => limitKind(c) === 'new').sort(_newCardSorter(config.newCardOrder));
+        const reviews = deckCards.filter(c => limitKind(c) === 'review')
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+        allowed.push(...deckCards.filter(c => limitKind(c) === 'learning'),
+            ...reviews.slice(0, Math.max(0, config.reviewsPerDay - reviewsDone)));
+        newCards.push(...fresh.slice(0, Math.max(0, config.newPerDay - newDone)));
+    }
+    return { cards: allowed, newCards };
+}
+
+/**
+ * Today's study queue for a deck (or all decks): learning and review cards
+ * sorted for review, then the new cards in the order they are introduced
+ * @param {string} [deckId] - Limit to one deck
+ * @param {Object} [options]
+ * @param {Map} [options.done] - From countToday, when already known
+ * @returns {Promise<Array>}
+ */
+async function getStudyQueue(deckId, { done } = {}) {
+    const [due, counts] = await Promise.all([CardDB.getDueCards(deckId), done || countToday()]);
+    const { cards, newCards } = applyLimits(due, counts);
+    return SM2.sortCardsForReview(cards).concat(newCards);
+}
+
+window.DailyLimits = {
+    DEFAULT_DAY_START,
+    setDayStart,
+    getDayStart,
+    studyDayStart,
+    nextDayStart,
+    limitKind,
+    countToday,
+    applyLimits,
+    getStudyQueue
+};
@@ -5,13 +5,35 @@ window.ManageModule = (function () {
     'use strict';
 
     let sortMode = 'due';
+    let tagFilter = null;   // tag chip selected, or null for all cards
+    let leechFilter = false;
 
     // DOM refs
-    let cardList, manageSearch, sortChips, emptyState;
-    let editModal, editCardId, editFront, editBack, editAnchor;
+    let cardList, manageSearch, sortChips, tagChips, emptyState;
+    let editModal, editCardId, editFront, editBack, editAnchor, editExample, editTags, editDeck;
+    let editDue, editScheduleStatus, editResetBtn, editForgetBtn, editSuspended, editBuriedRow, editBuried, editBuriedLabel;
+    let recordBtn, playBtn, removeAudioBtn, audioStatus;
+    let imagePreview, imageFile, imageCamera, removeImageBtn;
+    let dedupeModal, dedupeIntro, dedupeList;
+
+    let dedupePairs = [];      // pairs still shown in Find duplicates
+
+    // Media changes are applied on Save: undefined = unchanged,
+    // new data = replace, null = remove
+    let pendingAudio;          // Blob
+    let pendingImage;          // { blob, thumb } from Media.prepareImage
+    let editAudioId = null;    // recording the card had when the modal opened
+    let editImageId = null;    // anchor image the card had when the modal opened
+    let previewUrl = null;     // object URL of a not-yet-saved image
+
+    // Scheduling changes are applied on Save too
+    let editDueInitial = '';   // due date (YYYY-MM-DD) the card had when the modal opened
+    let editWasBuried = false;
+    let pendingReset = null;   // null | 'reset' | 'forget'
 
     function _renderList(query = '') {
-        CardDB.getAllCards().then(all => {
+        const deckId = UI.getDeckId();
+        CardDB.getAllCards(deckId).then(all => {
             const collator = new Intl.Collator('pl', { sensitivity: 'base' });
 
             if (sortMode === 'alpha') {
@@ -22,10 +44,17 @@ window.ManageModule = (function () {
                 all.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
             }
 
+            const tags = Tags.collectTags(all);
+            if (tagFilter && !tags.includes(tagFilter)) tagFilter = null;
+            tagChips.innerHTML = Tags.renderTagChips(tags, new Set(tagFilter ? [tagFilter] : []));
+            tagChips.classList.toggle('hidden', tags.length === 0);
+
             const q = query.trim().toLowerCase();
-            const cards = q
+            let cards = q
                 ? all.filter(c => c.front.toLowerCase().includes(q) || c.back.toLowerCase().includes(q))
                 : all;
+            if (tagFilter) cards = cards.filter(c => (c.tags || []).includes(tagFilter));
+            if (leechFilter) cards = cards.filter(Retention.isLeech);
 
             if (all.length === 0) {
                 cardList.classList.add('hidden');
@@ -37,18 +66,30 @@ window.ManageModule = (function () {
             cardList.classList.remove('hidden');
 
             if (cards.length === 0) {
-                cardList.innerHTML = '<div class="empty-state"><p>No cards match your search.</p></div>';
+                cardList.innerHTML = leechFilter && !q && !tagFilter
+                    ? '<div class="empty-state"><p>No leeches — no card has been forgotten often enough to be flagged.</p></div>'
+                    : '<div class="empty-state"><p>No cards match your search.</p></div>';
                 return;
             }
 
             cardList.innerHTML = cards.map(card => `
-                <div class="card-item" data-id="${card.id}">
+                <div class="card-item${CardDB.isParked(card) ? ' card-item-parked' : ''}" data-id="${card.id}">
                     <div class="card-item-content">
                         <div class="card-item-front">${UI.escapeHtml(card.front)}</div>
                         <div class="card-item-back">${UI.escapeHtml(card.back)}</div>
                         ${card.anchor ? `<div class="card-item-anchor">${UI.escapeHtml(card.anchor)}</div>` : ''}
+                        ${_statusLine(card)}
+                        ${card.tags && card.tags.length ? `<div class="card-item-tags">${card.tags.map(t => `#${UI.escapeHtml(t)}`).join(' ')}</div>` : ''}
+                        ${card.audioId || card.imageId ? `<div class="card-item-media">${[card.imageId ? '🖼 Image' : '', card.audioId ? '🎙 Recording' : ''].filter(Boolean).join(' · ')}</div>` : ''}
+                        ${deckId ? '' : `<div class="card-item-deck">${UI.escapeHtml(DeckModule.nameOf(card.deckId))}</div>`}
                     </div>
                     <div class="card-item-actions">
+                        <button class="card-item-history" aria-label="Review history">
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="12" cy="12" r="10"></circle>
+                                <polyline points="12 6 12 12 16 14"></polyline>
+                            </svg>
+                        </button>
                         <button class="card-item-edit" aria-label="Edit card">
                             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
@@ -67,6 +108,24 @@ window.ManageModule = (function () {
         });
     }
 
+    function _statusLine(card) {
+        const parts = [];
+        if (Retention.isLeech(card)) {
+            const lapses = card.lapses || 0;
+            parts.push(`Leech · forgotten ${lapses} time${lapses !== 1 ? 's' : ''}`);
+        }
+        if (card.suspended) parts.push('Suspended');
+        else if (CardDB.isParked(card)) parts.push(_buriedText(card));
+        return parts.length ? `<div class="card-item-status">${parts.join(' · ')}</div>` : '';
+    }
+
+    function _buriedText(card) {
+        const until = new Date(card.buriedUntil);
+        return until <= DailyLimits.nextDayStart()
+            ? 'Buried until tomorrow'
+            : `Buried until ${until.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}`;
+    }
+
     async function _deleteCard(id) {
         if (!confirm('Delete this card?')) return;
         try {
@@ -86,13 +145,170 @@ window.ManageModule = (function () {
         editFront.value  = card.front;
         editBack.value   = card.back;
         editAnchor.value = card.anchor || '';
+        editExample.value = card.example || '';
+        editTags.value   = (card.tags || []).join(', ');
+        _fillSchedule(card);
+        DeckModule.fillSelect(editDeck, card.deckId);
+        editAudioId = card.audioId || null;
+        editImageId = card.imageId || null;
+        pendingAudio = pendingImage = undefined;
+        _updateAudioControls();
+        _updateImagePreview();
         editModal.classList.remove('hidden');
         editFront.focus();
     }
 
-    function _closeEdit() {
+    async function _closeEdit() {
         editModal.classList.add('hidden');
-        editCardId.value = editFront.value = editBack.value = editAnchor.value = '';
+        editCardId.value = editFront.value = editBack.value = editAnchor.value = editExample.value = editTags.value = '';
+        pendingAudio = pendingImage = undefined;
+        pendingReset = null;
+        _revokePreview();
+        await Media.stopRecording();
+        Media.stop();
+    }
+
+    // ── scheduling ───────────────────────────────────────────────────────────
+
+    function _fillSchedule(card) {
+        const lapses = card.lapses || 0;
+        const phase = StatsModule.phaseOf(card);
+        const interval = card.interval || 0;
+        editScheduleStatus.textContent = phase === 'new'
+            ? '(new — not studied yet)'
+            : `(${phase} · interval ${interval} day${interval !== 1 ? 's' : ''} · forgotten ${lapses} time${lapses !== 1 ? 's' : ''})`;
+        editDueInitial = Charts.dayKey(card.dueDate);
+        editDue.value = editDueInitial;
+        editSuspended.checked = !!card.suspended;
+        editWasBuried = CardDB.isParked(card) && !card.suspended;
+        editBuried.checked = editWasBuried;
+        editBuriedLabel.textContent = editWasBuried ? _buriedText(card) : '';
+        editBuriedRow.classList.toggle('hidden', !editWasBuried);
+        pendingReset = null;
+        _updateResetButtons();
+    }
+
+    // Reset progress / Forget are toggled here and applied on Save
+    function _toggleReset(kind) {
+        pendingReset = pendingReset === kind ? null : kind;
+        _updateResetButtons();
+    }
+
+    function _updateResetButtons() {
+        editResetBtn.textContent = pendingReset === 'reset' ? 'Keep progress' : 'Reset progress';
+        editForgetBtn.textContent = pendingReset === 'forget' ? 'Keep history' : 'Forget';
+        editResetBtn.disabled = pendingReset === 'forget';
+        editForgetBtn.disabled = pendingReset === 'reset';
+        editDue.disabled = pendingReset !== null;
+    }
+
+    // Scheduling fields changed in the modal; reset and forget are applied separately
+    function _scheduleUpdates() {
+        const updates = { suspended: editSuspended.checked };
+        if (editWasBuried && !editBuried.checked) updates.buriedUntil = null;
+        if (pendingReset === null && editDue.value && editDue.value !== editDueInitial) {
+            // Due from the start of the chosen day; a new date also unburies
+            updates.dueDate = new Date(`${editDue.value}T00:00`).toISOString();
+            updates.buriedUntil = null;
+        }
+        return updates;
+    }
+
+    // ── anchor image ─────────────────────────────────────────────────────────
+
+    function _revokePreview() {
+        if (previewUrl) URL.revokeObjectURL(previewUrl);
+        previewUrl = null;
+    }
+
+    async function _updateImagePreview() {
+        _revokePreview();
+        let url = null;
+        if (pendingImage) {
+            url = previewUrl = URL.createObjectURL(pendingImage.blob);
+        } else if (pendingImage === undefined && editImageId) {
+            url = await Media.imageUrl({ imageId: editImageId });
+        }
+        imagePreview.classList.toggle('hidden', !url);
+        if (url) imagePreview.src = url;
+        else imagePreview.removeAttribute('src');
+        removeImageBtn.classList.toggle('hidden', !url);
+    }
+
+    async function _setImage(file) {
+        try {
+            pendingImage = await Media.prepareImage(file);
+            _updateImagePreview();
+        } catch (e) {
+            UI.showToast('Could not read that image');
+        }
+    }
+
+    function _removeImage() {
+        pendingImage = null;
+        _updateImagePreview();
+    }
+
+    // Pasting an image anywhere in the open edit modal attaches it
+    function _onPaste(e) {
+        if (editModal.classList.contains('hidden')) return;
+        const item = [...(e.clipboardData ? e.clipboardData.items : [])].find(i => i.type.startsWith('image/'));
+        if (!item) return;
+        e.preventDefault();
+        _setImage(item.getAsFile());
+    }
+
+    // ── recording ────────────────────────────────────────────────────────────
+
+    function _hasAudio() {
+        return pendingAudio !== undefined ? pendingAudio !== null : editAudioId !== null;
+    }
+
+    function _updateAudioControls() {
+        const recording = Media.isRecording();
+        recordBtn.classList.toggle('hidden', !Media.isRecordingSupported());
+        recordBtn.classList.toggle('recording', recording);
+        recordBtn.textContent = recording ? 'Stop' : (_hasAudio() ? 'Re-record' : 'Record');
+        playBtn.disabled = recording || !_hasAudio();
+        removeAudioBtn.classList.toggle('hidden', recording || !_hasAudio());
+        if (recording) {
+            audioStatus.textContent = `Recording… (max ${Media.MAX_RECORDING_MS / 1000}s)`;
+        } else if (pendingAudio) {
+            audioStatus.textContent = 'New recording — save to keep it';
+        } else if (pendingAudio === null) {
+            audioStatus.textContent = 'Will be removed on save';
+        } else {
+            audioStatus.textContent = Media.isRecordingSupported() || _hasAudio() ? '' : 'Recording is not supported in this browser';
+        }
+    }
+
+    async function _toggleRecording() {
+        if (Media.isRecording()) {
+            const blob = await Media.stopRecording();
+            if (blob) pendingAudio = blob;
+            _updateAudioControls();
+            return;
+        }
+        try {
+            await Media.startRecording(blob => {
+                pendingAudio = blob;
+                _updateAudioControls();
+            });
+        } catch (e) {
+            UI.showToast('Microphone not available');
+        }
+        _updateAudioControls();
+    }
+
+    async function _playAudio() {
+        if (pendingAudio) await Media.playBlob(pendingAudio);
+        else if (editAudioId) await Media.playCard({ audioId: editAudioId });
+    }
+
+    function _removeAudio() {
+        Media.stop();
+        pendingAudio = null;
+        _updateAudioControls();
     }
 
     async function _saveEdit() {
@@ -100,11 +316,29 @@ window.ManageModule = (function () {
         const front  = editFront.value.trim();
         const back   = editBack.value.trim();
         const anchor = editAnchor.value.trim();
+        const example = editExample.value.trim();
+        const tags   = Tags.parseTagList(editTags.value);
+        const deckId = editDeck.value;
 
         if (!front || !back) { UI.showToast('Both fields are required'); return; }
+        if (pendingReset === 'forget' && !confirm('Forget this card? Its review history is erased and it starts again as new.')) return;
 
         try {
-            await CardDB.updateCard(id, { front, back, anchor });
+            if (Media.isRecording()) {
+                const blob = await Media.stopRecording();
+                if (blob) pendingAudio = blob;
+            }
+            // Moving deck hands the card a new notebook slot in the target deck
+            await CardDB.saveCardEdit(id, {
+                updates: {
+                    front, back, anchor, example, tags, ..._scheduleUpdates(),
+                    ...(pendingReset === 'reset' ? SM2.resetSchedule({ deckId }) : {})
+                },
+                forget: pendingReset === 'forget' ? { ...SM2.resetSchedule({ deckId }), lapses: 0 } : null,
+                audio: pendingAudio || (pendingAudio === null && editAudioId ? null : undefined),
+                image: pendingImage || (pendingImage === null && editImageId ? null : undefined),
+                deckId
+            });
             _closeEdit();
             _renderList(manageSearch.value);
             UI.showToast('Card updated');
@@ -113,9 +347,60 @@ window.ManageModule = (function () {
         }
     }
 
+    // ── find duplicates ──────────────────────────────────────────────────────
+
+    async function _openDuplicates() {
+        dedupePairs = Duplicates.findDuplicatePairs(await CardDB.getAllCards(UI.getDeckId()));
+        _renderDuplicates();
+        dedupeModal.classList.remove('hidden');
+    }
+
+    function _renderDuplicates() {
+        dedupeIntro.textContent = dedupePairs.length === 0
+            ? 'No duplicates found.'
+            : `${dedupePairs.length} possible duplicate${dedupePairs.length !== 1 ? 's' : ''}. ` +
+              'Merge folds the newer card into the older one: its answer becomes an alternative, tags and history are combined and the further-along schedule is kept.';
+        dedupeList.innerHTML = dedupePairs.map((pair, i) => `
+            <div class="dup-item">
+                ${Duplicates.renderDuplicatePair(pair, { card: 'Newer', existing: 'Older' })}
+                <div class="dup-actions" data-index="${i}">
+                    <button class="sort-chip" data-action="merge">Merge</button>
+                    <button class="sort-chip" data-action="delete">Delete newer</button>
+                    <button class="sort-chip" data-action="keep">Keep both</button>
+                </div>
+            </div>`).join('');
+    }
+
+    async function _resolveDuplicate(index, action) {
+        const { card, existing, kind } = dedupePairs[index];
+        try {
+            if (action === 'merge') {
+                await CardDB.mergeCardInto(existing.id, card.id, Duplicates.mergeCardFields(existing, card, kind));
+            } else if (action === 'delete') {
+                await CardDB.deleteCard(card.id);
+            }
+        } catch (e) {
+            UI.showToast('Error updating cards');
+            return;
+        }
+        // A card merged or deleted here may appear in other pairs too
+        if (action === 'keep') dedupePairs.splice(index, 1);
+        else dedupePairs = Duplicates.findDuplicatePairs(await CardDB.getAllCards(UI.getDeckId()))
+            .filter(p => dedupePairs.some(d => d.card.id === p.card.id && d.existing.id === p.existing.id));
+        _renderDuplicates();
+    }
+
+    async function _closeDuplicates() {
+        dedupeModal.classList.add('hidden');
+        _renderList(manageSearch.value);
+        await StatsModule.update();
+    }
+
     function open() {
         manageSearch.value = '';
         sortMode = 'due';
+        tagFilter = null;
+        leechFilter = false;
         sortChips.querySelectorAll('.sort-chip').forEach(c => {
             c.classList.toggle('active', c.dataset.sort === 'due');
         });
@@ -127,37 +412,93 @@ window.ManageModule = (function () {
         cardList    = document.getElementById('card-list');
         manageSearch = document.getElementById('manage-search');
         sortChips   = document.getElementById('sort-chips');
+        tagChips    = document.getElementById('manage-tag-chips');
         emptyState  = document.getElementById('empty-state');
         editModal   = document.getElementById('edit-modal');
         editCardId  = document.getElementById('edit-card-id');
         editFront   = document.getElementById('edit-front');
         editBack    = document.getElementById('edit-back');
         editAnchor  = document.getElementById('edit-anchor');
+        editExample = document.getElementById('edit-example');
+        editTags    = document.getElementById('edit-tags');
+        editDeck    = document.getElementById('edit-deck');
+        editDue     = document.getElementById('edit-due');
+        editScheduleStatus = document.getElementById('edit-schedule-status');
+        editResetBtn  = document.getElementById('edit-reset-btn');
+        editForgetBtn = document.getElementById('edit-forget-btn');
+        editSuspended = document.getElementById('edit-suspended');
+        editBuriedRow = document.getElementById('edit-buried-row');
+        editBuried    = document.getElementById('edit-buried');
+        editBuriedLabel = document.getElementById('edit-buried-label');
+        recordBtn      = document.getElementById('edit-record-btn');
+        playBtn        = document.getElementById('edit-play-btn');
+        removeAudioBtn = document.getElementById('edit-remove-audio-btn');
+        audioStatus    = document.getElementById('edit-audio-status');
+        imagePreview   = document.getElementById('edit-image-preview');
+        imageFile      = document.getElementById('edit-image-file');
+        imageCamera    = document.getElementById('edit-image-camera');
+        removeImageBtn = document.getElementById('edit-remove-image-btn');
+        dedupeModal    = document.getElementById('dedupe-modal');
+        dedupeIntro    = document.getElementById('dedupe-intro');
+        dedupeList     = document.getElementById('dedupe-list');
 
         manageSearch.addEventListener('input', () => _renderList(manageSearch.value));
 
         sortChips.addEventListener('click', e => {
             const chip = e.target.closest('.sort-chip');
             if (!chip) return;
-            sortMode = chip.dataset.sort;
-            sortChips.querySelectorAll('.sort-chip').forEach(c => c.classList.remove('active'));
-            chip.classList.add('active');
+            if (chip.dataset.filter === 'leeches') {
+                leechFilter = !leechFilter;
+                chip.classList.toggle('active', leechFilter);
+            } else {
+                sortMode = chip.dataset.sort;
+                sortChips.querySelectorAll('[data-sort]').forEach(c => c.classList.remove('active'));
+                chip.classList.add('active');
+            }
+            _renderList(manageSearch.value);
+        });
+
+        tagChips.addEventListener('click', e => {
+            const chip = e.target.closest('.tag-chip');
+            if (!chip) return;
+            tagFilter = tagFilter === chip.dataset.tag ? null : chip.dataset.tag;
             _renderList(manageSearch.value);
         });
 
         cardList.addEventListener('click', e => {
             const item = e.target.closest('.card-item');
             if (!item) return;
-            if (e.target.closest('.card-item-edit'))   _openEdit(item.dataset.id);
+            if (e.target.closest('.card-item-history')) CardHistory.open(item.dataset.id);
+            else if (e.target.closest('.card-item-edit'))   _openEdit(item.dataset.id);
             else if (e.target.closest('.card-item-delete')) _deleteCard(item.dataset.id);
         });
 
+        document.getElementById('find-duplicates-btn').addEventListener('click', _openDuplicates);
+        document.getElementById('dedupe-close-btn').addEventListener('click', _closeDuplicates);
+        dedupeList.addEventListener('click', e => {
+            const chip = e.target.closest('.sort-chip');
+            if (chip) _resolveDuplicate(Number(chip.parentElement.dataset.index), chip.dataset.action);
+        });
+
         document.getElementById('edit-cancel-btn').addEventListener('click', _closeEdit);
         document.getElementById('edit-save-btn').addEventListener('click', _saveEdit);
+        editResetBtn.addEventListener('click', () => _toggleReset('reset'));
+        editForgetBtn.addEventListener('click', () => _toggleReset('forget'));
+        recordBtn.addEventListener('click', _toggleRecording);
+        playBtn.addEventListener('click', _playAudio);
+        removeAudioBtn.addEventListener('click', _removeAudio);
+        [imageFile, imageCamera].forEach(input => input.addEventListener('change', () => {
+            if (input.files[0]) _setImage(input.files[0]);
+            input.value = '';
+        }));
+        removeImageBtn.addEventListener('click', _removeImage);
+        document.addEventListener('paste', _onPaste);
         editModal.addEventListener('click', e => { if (e.target === editModal) _closeEdit(); });
         editFront.addEventListener('keydown', e => { if (e.key === 'Enter') editBack.focus(); });
         editBack.addEventListener('keydown',  e => { if (e.key === 'Enter') editAnchor.focus(); });
-        editAnchor.addEventListener('keydown', e => { if (e.key === 'Enter') _saveEdit(); });
+        editAnchor.addEventListener('keydown', e => { if (e.key === 'Enter') editExample.focus(); });
+        editExample.addEventListener('keydown', e => { if (e.key === 'Enter') editTags.focus(); });
+        editTags.addEventListener('keydown', e => { if (e.key === 'Enter') _saveEdit(); });
 
         document.getElementById('manage-back-btn').addEventListener('click', async () => {
             await StatsModule.update();
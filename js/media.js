@@ -0,0 +1,181 @@
+/**
+ * Media module
+ * Recording and playback of per-card audio (MediaRecorder + <audio>) and
+ * preparation / display of anchor images.
+ *
+ * Blobs are stored by CardDB.saveMedia in the `media` table; cards only
+ * carry the ID (`audioId`, `imageId`). Recording needs microphone permission
+ * and a secure context; where either is missing the record button is hidden
+ * and existing recordings still play.
+ *
+ * Images are downscaled before storing (longest side MAX_IMAGE_SIZE) and get
+ * a THUMB_SIZE JPEG thumbnail for notebook cells, so a phone photo doesn't
+ * cost megabytes per card.
+ */
+window.Media = (function () {
+    'use strict';
+
+    const MAX_RECORDING_MS = 30000;     // a word or sentence, not a lecture
+    const MAX_IMAGE_SIZE = 1280;
+    const THUMB_SIZE = 160;
+
+    let recorder = null;
+    let chunks = [];
+    let stopTimer = null;
+    let player = null;                  // { audio, url } of the clip playing now
+    const imageUrls = new Map();        // 'mediaId:full|thumb' → object URL
+
+    function isRecordingSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+    }
+
+    function isRecording() {
+        return recorder !== null && recorder.state === 'recording';
+    }
+
+    /**
+     * Ask for the microphone and start recording
+     * @param {Function} [onAutoStop] - Called with the Blob if the time limit stops the recording
+     * @returns {Promise<void>} Rejects if permission is denied
+     */
+    async function startRecording(onAutoStop) {
+        if (isRecording()) return;
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        chunks = [];
+        recorder = new MediaRecorder(stream);
+        recorder.addEventListener('dataavailable', e => { if (e.data.size > 0) chunks.push(e.data); });
+        recorder.start();
+        stopTimer = setTimeout(async () => {
+            const blob = await stopRecording();
+            if (onAutoStop && blob) onAutoStop(blob);
+        }, MAX_RECORDING_MS);
+    }
+
+    /**
+     * Stop recording and release the microphone
+     * @returns {Promise<Blob|null>} Recorded audio, or null if nothing was recorded
+     */
+    function stopRecording() {
+        clearTimeout(stopTimer);
+        if (!isRecording()) return Promise.resolve(null);
+        const rec = recorder;
+        return new Promise(resolve => {
+            rec.addEventListener('stop', () => {
+                rec.stream.getTracks().forEach(t => t.stop());
+                recorder = null;
+                resolve(chunks.length > 0 ? new Blob(chunks, { type: rec.mimeType || chunks[0].type }) : null);
+            }, { once: true });
+            rec.stop();
+        });
+    }
+
+    /**
+     * Play a blob, stopping whatever is playing (recording or speech)
+     * @param {Blob} blob - Audio data
+     * @returns {Promise<void>}
+     */
+    async function playBlob(blob) {
+        stop();
+        Speech.stop();
+        const url = URL.createObjectURL(blob);
+        const audio = new Audio(url);
+        player = { audio, url };
+        audio.addEventListener('ended', stop, { once: true });
+        try {
+            await audio.play();
+        } catch (e) {
+            stop();
+            UI.showToast('Could not play recording');
+        }
+    }
+
+    /**
+     * Play a card's recording
+     * @param {Object} card - Card object
+     * @returns {Promise<boolean>} False if the card has no recording
+     */
+    async function playCard(card) {
+        if (!card || !card.audioId) return false;
+        const media = await CardDB.getMedia(card.audioId);
+        if (!media) return false;
+        await playBlob(media.blob);
+        return true;
+    }
+
+    function stop() {
+        if (!player) return;
+        player.audio.pause();
+        URL.revokeObjectURL(player.url);
+        player = null;
+    }
+
+    // ── images ───────────────────────────────────────────────────────────────
+
+    /**
+     * Draw an image scaled to fit a square box, as JPEG
+     * @param {ImageBitmap} bitmap - Decoded image
+     * @param {number} size - Longest side in pixels
+     * @param {number} quality - JPEG quality 0–1
+     * @returns {Promise<Blob>}
+     */
+    function _scaled(bitmap, size, quality) {
+        const scale  = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width  = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(b => b ? resolve(b) : reject(new Error('Could not encode image')), 'image/jpeg', quality);
+        });
+    }
+
+    /**
+     * Downscale a picked, pasted or captured image and make its thumbnail
+     * @param {Blob} file - Image file
+     * @returns {Promise<{blob: Blob, thumb: Blob}>} Rejects if it isn't a readable image
+     */
+    async function prepareImage(file) {
+        if (!file || !file.type.startsWith('image/')) throw new Error('Not an image');
+        const bitmap = await createImageBitmap(file);
+        try {
+            return {
+                blob:  await _scaled(bitmap, MAX_IMAGE_SIZE, 0.85),
+                thumb: await _scaled(bitmap, THUMB_SIZE, 0.7)
+            };
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Object URL for a card's anchor image. URLs are cached per media row,
+     * which never changes (replacing an image creates a new row).
+     * @param {Object} card - Card object
+     * @param {Object} [options]
+     * @param {boolean} [options.thumb=false] - Thumbnail instead of the full image
+     * @returns {Promise<string|null>} Null if the card has no image
+     */
+    async function imageUrl(card, { thumb = false } = {}) {
+        if (!card || !card.imageId) return null;
+        const key = `${card.imageId}:${thumb ? 'thumb' : 'full'}`;
+        if (imageUrls.has(key)) return imageUrls.get(key);
+        const media = await CardDB.getMedia(card.imageId);
+        if (!media) return null;
+        const url = URL.createObjectURL(thumb && media.thumb ? media.thumb : media.blob);
+        imageUrls.set(key, url);
+        return url;
+    }
+
+    return {
+        isRecordingSupported,
+        isRecording,
+        startRecording,
+        stopRecording,
+        playBlob,
+        playCard,
+        stop,
+        prepareImage,
+        imageUrl,
+        MAX_RECORDING_MS
+    };
+})();
@@ -1,10 +1,11 @@
 /**
  * Notebook View module
  * Fixed 3×4 grid (12 cards/page), newest page first.
- * Filters: All / Unlearned / Due
+ * Filters: All / Unlearned / Due / Leeches, optionally narrowed to one #tag
  * Controls: Show Translation toggle, Flip All toggle
  * Individual cell tap always flips that cell (XOR with global flip).
- * Page dots with due/new indicators.
+ * Page dots with due/new indicators. Suspended and buried cells are
+ * outlined and labelled; Study this page leaves them out.
  */
 window.NotebookModule = (function () {
     'use strict';
@@ -12,12 +13,13 @@ window.NotebookModule = (function () {
     const PAGE_SIZE = 12;
 
     let allCards      = [];
-    let pageGroups    = [];   // [{ page, cards: Array(12) of card|null }] newest first
+    let pageGroups    = [];   // [{ deckId, page, cards: Array(12) of card|null }] newest first
     let dueIds        = new Set();
     let unlearnedIds  = new Set();
 
     let currentPage      = 0;
-    let filterMode       = 'all';   // 'all' | 'unlearned' | 'due'
+    let filterMode       = 'all';   // 'all' | 'unlearned' | 'due' | 'leeches'
+    let tagFilter        = null;    // tag chip selected, or null
     let showTranslation  = false;
     let globalFlipped    = false;
     let cellOverrides    = new Set(); // card IDs with individual flip override
@@ -25,7 +27,7 @@ window.NotebookModule = (function () {
     // DOM refs
     let grid, pageIndicator, prevBtn, nextBtn, dotsEl;
     let showTranslationBtn, flipAllBtn, studyPageBtn;
-    let filterBtns;
+    let filterBtns, tagChipsEl;
 
     // ── text sizing + split ───────────────────────────────────────────────────
 
@@ -70,21 +72,25 @@ window.NotebookModule = (function () {
 
     // ── data helpers ──────────────────────────────────────────────────────────
 
-    // Group cards into pages keyed by notebookPage. Each page is a length-12
-    // array indexed by notebookSlot, with nulls for empty slots. Pages are
-    // returned newest-first so display index 0 is the most recent page.
-    function _buildPageGroups(cards) {
+    // Group cards into pages keyed by (deckId, notebookPage) — page numbers
+    // are per deck. Each page is a length-12 array indexed by notebookSlot,
+    // with nulls for empty slots. Pages are returned newest-first within a
+    // deck (decks in name order) so display index 0 is the most recent page.
+    // Public so the exporter numbers pages the way the notebook shows them.
+    function buildPageGroups(cards) {
         const byPage = new Map();
         for (const c of cards) {
             if (c.notebookPage === undefined || c.notebookSlot === undefined) continue;
-            if (!byPage.has(c.notebookPage)) {
-                byPage.set(c.notebookPage, new Array(PAGE_SIZE).fill(null));
+            const key = `${c.deckId}|${c.notebookPage}`;
+            if (!byPage.has(key)) {
+                byPage.set(key, { deckId: c.deckId, page: c.notebookPage, cards: new Array(PAGE_SIZE).fill(null) });
             }
-            byPage.get(c.notebookPage)[c.notebookSlot] = c;
+            byPage.get(key).cards[c.notebookSlot] = c;
         }
-        return [...byPage.entries()]
-            .sort((a, b) => b[0] - a[0])
-            .map(([page, slots]) => ({ page, cards: slots }));
+        const deckOrder = new Map(DeckModule.getDecks().map((d, i) => [d.id, i]));
+        return [...byPage.values()].sort((a, b) =>
+            ((deckOrder.get(a.deckId) || 0) - (deckOrder.get(b.deckId) || 0)) || (b.page - a.page)
+        );
     }
 
     function _pageSlots() {
@@ -110,9 +116,11 @@ window.NotebookModule = (function () {
     }
 
     function _isHighlighted(card) {
+        if (tagFilter && !(card.tags || []).includes(tagFilter)) return false;
         if (filterMode === 'all')       return true;
         if (filterMode === 'due')       return dueIds.has(card.id);
         if (filterMode === 'unlearned') return unlearnedIds.has(card.id);
+        if (filterMode === 'leeches')   return Retention.isLeech(card);
         return true;
     }
 
@@ -123,7 +131,10 @@ window.NotebookModule = (function () {
         const cardsOnPage = _pageCardsOnly();
         const total = _totalPages();
 
-        pageIndicator.textContent = `Page ${currentPage + 1} of ${total}`;
+        // With "All decks" active, say whose page this is
+        const group = pageGroups[currentPage];
+        const deckLabel = !UI.getDeckId() && group ? `${DeckModule.nameOf(group.deckId)} · ` : '';
+        pageIndicator.textContent = `${deckLabel}Page ${currentPage + 1} of ${total}`;
         prevBtn.disabled     = currentPage === 0;
         nextBtn.disabled     = currentPage >= total - 1;
         studyPageBtn.disabled = cardsOnPage.length === 0;
@@ -134,6 +145,10 @@ window.NotebookModule = (function () {
         showTranslationBtn.classList.toggle('active', showTranslation);
         flipAllBtn.classList.toggle('active', globalFlipped);
 
+        const tags = Tags.collectTags(allCards);
+        tagChipsEl.innerHTML = Tags.renderTagChips(tags, new Set(tagFilter ? [tagFilter] : []));
+        tagChipsEl.classList.toggle('hidden', tags.length === 0);
+
         _renderDots();
 
         grid.innerHTML = '';
@@ -165,6 +180,9 @@ window.NotebookModule = (function () {
             if (!highlighted)          cell.classList.add('nb-cell-dim');
             if (dueIds.has(card.id))   cell.classList.add('nb-cell-due');
             else if (unlearnedIds.has(card.id)) cell.classList.add('nb-cell-new');
+            if (Retention.isLeech(card)) cell.classList.add('nb-cell-leech');
+            const parked = card.suspended ? 'suspended' : CardDB.isParked(card) ? 'buried' : null;
+            if (parked) cell.classList.add(`nb-cell-${parked}`);
 
             // Slot badge (1-12) — stable across pages, aids locational memory
             const badge = document.createElement('span');
@@ -174,6 +192,12 @@ window.NotebookModule = (function () {
             const primary = _buildTextEl(primaryText, 'nb-primary', highlighted);
 
             cell.appendChild(badge);
+            if (parked) {
+                const state = document.createElement('span');
+                state.className = 'nb-state';
+                state.textContent = parked === 'suspended' ? 'Suspended' : 'Buried';
+                cell.appendChild(state);
+            }
             cell.appendChild(primary);
 
             if (showTranslation && secondaryText) {
@@ -181,6 +205,27 @@ window.NotebookModule = (function () {
                 cell.appendChild(secondary);
             }
 
+            if (showTranslation && highlighted && card.imageId) {
+                const thumb = document.createElement('img');
+                thumb.className = 'nb-thumb';
+                thumb.alt = '';
+                Media.imageUrl(card, { thumb: true }).then(url => { if (url) thumb.src = url; });
+                cell.appendChild(thumb);
+            }
+
+            if (highlighted) {
+                const actions = document.createElement('div');
+                actions.className = 'nb-cell-actions';
+                if (card.audioId) {
+                    actions.appendChild(_cellButton('▶', 'Play recording', () => Media.playCard(card)));
+                }
+                if (Speech.isSupported()) {
+                    actions.appendChild(_cellButton('🔊', 'Play pronunciation',
+                        () => Speech.speakSide(card, isFlipped ? 'back' : 'front')));
+                }
+                if (actions.children.length > 0) cell.appendChild(actions);
+            }
+
             if (card.anchor && highlighted) {
                 const anchor = document.createElement('div');
                 anchor.className = 'nb-anchor';
@@ -193,6 +238,19 @@ window.NotebookModule = (function () {
         });
     }
 
+    // Small button inside a cell; clicks don't flip the cell
+    function _cellButton(text, label, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'nb-cell-btn';
+        btn.setAttribute('aria-label', label);
+        btn.textContent = text;
+        btn.addEventListener('click', e => {
+            e.stopPropagation();
+            onClick();
+        });
+        return btn;
+    }
+
     // ── page dots ─────────────────────────────────────────────────────────────
 
     function _renderDots() {
@@ -265,6 +323,11 @@ window.NotebookModule = (function () {
         _render();
     }
 
+    function _toggleTagFilter(tag) {
+        tagFilter = tagFilter === tag ? null : tag;
+        _render();
+    }
+
     async function _studyPage() {
         const cards = _pageCardsOnly();
         if (!cards.length) return;
@@ -276,6 +339,13 @@ window.NotebookModule = (function () {
         } else if (filterMode === 'unlearned') {
             queue = cards.filter(c => unlearnedIds.has(c.id));
             if (!queue.length) { UI.showToast('No unlearned cards on this page'); return; }
+        } else if (filterMode === 'leeches') {
+            queue = cards.filter(Retention.isLeech);
+            if (!queue.length) { UI.showToast('No leeches on this page'); return; }
+        }
+        if (tagFilter) {
+            queue = queue.filter(c => (c.tags || []).includes(tagFilter));
+            if (!queue.length) { UI.showToast(`No #${tagFilter} cards on this page`); return; }
         }
 
         await StudyModule.startPageStudy(queue, _buildPositionMap());
@@ -284,13 +354,15 @@ window.NotebookModule = (function () {
     // ── open ──────────────────────────────────────────────────────────────────
 
     async function open() {
-        const [all, due] = await Promise.all([CardDB.getAllCards(), CardDB.getDueCards()]);
+        const deckId = UI.getDeckId();
+        const [all, due] = await Promise.all([CardDB.getAllCards(deckId), CardDB.getDueCards(deckId)]);
         allCards     = all;
-        pageGroups   = _buildPageGroups(allCards);
+        pageGroups   = buildPageGroups(allCards);
         dueIds       = new Set(due.map(c => c.id));
         unlearnedIds = new Set(all.filter(c => c.repetitions === 0 && !c.lastReviewed).map(c => c.id));
         currentPage  = 0;
         filterMode   = 'all';
+        tagFilter    = null;
         showTranslation = false;
         globalFlipped   = false;
         cellOverrides.clear();
@@ -300,11 +372,13 @@ window.NotebookModule = (function () {
 
     // Re-open notebook keeping the current page (used after page-primed study)
     async function resume() {
-        const [all, due] = await Promise.all([CardDB.getAllCards(), CardDB.getDueCards()]);
+        const deckId = UI.getDeckId();
+        const [all, due] = await Promise.all([CardDB.getAllCards(deckId), CardDB.getDueCards(deckId)]);
         allCards     = all;
-        pageGroups   = _buildPageGroups(allCards);
+        pageGroups   = buildPageGroups(allCards);
         dueIds       = new Set(due.map(c => c.id));
         unlearnedIds = new Set(all.filter(c => c.repetitions === 0 && !c.lastReviewed).map(c => c.id));
+        if (tagFilter && !allCards.some(c => (c.tags || []).includes(tagFilter))) tagFilter = null;
         // Clamp page in case cards were deleted
         const maxPage = Math.max(0, _totalPages() - 1);
         if (currentPage > maxPage) currentPage = maxPage;
@@ -325,6 +399,7 @@ window.NotebookModule = (function () {
         flipAllBtn         = document.getElementById('nb-flip-all');
         studyPageBtn       = document.getElementById('nb-study-page-btn');
         filterBtns         = document.querySelectorAll('.nb-filter-btn');
+        tagChipsEl         = document.getElementById('nb-tag-chips');
 
         prevBtn.addEventListener('click', () => {
             if (currentPage > 0) { currentPage--; cellOverrides.clear(); _render(); }
@@ -337,6 +412,10 @@ window.NotebookModule = (function () {
         flipAllBtn.addEventListener('click', _toggleFlipAll);
         studyPageBtn.addEventListener('click', _studyPage);
         filterBtns.forEach(btn => btn.addEventListener('click', () => _setFilter(btn.dataset.filter)));
+        tagChipsEl.addEventListener('click', e => {
+            const chip = e.target.closest('.tag-chip');
+            if (chip) _toggleTagFilter(chip.dataset.tag);
+        });
 
         document.getElementById('nb-back-btn').addEventListener('click', async () => {
             await StatsModule.update();
@@ -346,5 +425,5 @@ window.NotebookModule = (function () {
         document.getElementById('notebook-btn').addEventListener('click', open);
     }
 
-    return { init, open, resume };
+    return { init, open, resume, buildPageGroups };
 })();
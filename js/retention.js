@@ -0,0 +1,205 @@
+/**
+ * Retention analytics
+ * Measures how often cards are actually remembered, from the review log:
+ * a review counts as a recall test unless it was the card's first answer
+ * or a multiple-choice quiz (recognising an answer is easier than
+ * recalling it), and passes with any grade above Again. Comparing the pass
+ * rate per scheduled interval shows whether intervals are too long (low
+ * retention) or longer than they need to be (very high retention).
+ *
+ * Also owns leech handling: cards count their lapses (SM2.calculateNextReview)
+ * and one that reaches the threshold is tagged #leech and, depending on the
+ * chosen action, suspended or offered a memory anchor.
+ */
+
+// Scheduled interval (days, from the log's prevInterval) → bucket
+const RETENTION_BUCKETS = [
+    { label: 'Same day',   max: 0 },
+    { label: '1 day',      max: 1 },
+    { label: '2–3 days',   max: 3 },
+    { label: '4–7 days',   max: 7 },
+    { label: '1–2 weeks',  max: 14 },
+    { label: '2–4 weeks',  max: 30 },
+    { label: '1–3 months', max: 90 },
+    { label: '3+ months',  max: Infinity }
+];
+
+const RETENTION_PHASES = [
+    { phase: 'learning',  label: 'Learning' },
+    { phase: 'graduated', label: 'Graduated' },
+    { phase: 'mature',    label: 'Mastered' }
+];
+
+const LEECH_TAG = 'leech';
+
+// What happens when a card becomes a leech (it is tagged in every case)
+const LEECH_ACTIONS = {
+    tag:     'Tag it #leech',
+    suspend: 'Suspend it',
+    anchor:  'Ask for a memory anchor'
+};
+
+const DEFAULT_LEECH_CONFIG = { threshold: 8, action: 'tag' };
+
+let leechConfig = { ...DEFAULT_LEECH_CONFIG };
+
+/**
+ * Whether a review tested recall of a card seen before
+ * @param {Object} review - Review log entry
+ * @returns {boolean}
+ */
+function isRecallTest(review) {
+    return !review.isNew && review.mode !== 'quiz';
+}
+
+/**
+ * Whether a review forgot a card that had already been learned
+ * @param {Object} review - Review log entry
+ * @returns {boolean}
+ */
+function isLapse(review) {
+    return review.quality === SM2.QUALITY.AGAIN && !review.isNew && review.prevRepetitions > 0;
+}
+
+function _tally(rows, keyOf, reviews) {
+    const tallies = new Map(rows.map(row => [row, { ...row, total: 0, passed: 0 }]));
+    for (const review of reviews) {
+        if (!isRecallTest(review)) continue;
+        const row = keyOf(review);
+        if (!row) continue;
+        const t = tallies.get(row);
+        t.total++;
+        if (review.quality > SM2.QUALITY.AGAIN) t.passed++;
+    }
+    return [...tallies.values()];
+}
+
+/**
+ * Pass rate per scheduled interval bucket
+ * @param {Array} reviews - Review log entries
+ * @returns {Array<{label: string, total: number, passed: number}>}
+ */
+function retentionByInterval(reviews) {
+    return _tally(RETENTION_BUCKETS, r => RETENTION_BUCKETS.find(b => (r.prevInterval || 0) <= b.max), reviews);
+}
+
+/**
+ * Pass rate per pipeline phase the card was in when reviewed (as on the
+ * home screen, see StatsModule.phaseOf)
+ * @param {Array} reviews - Review log entries
+ * @param {Map<string, Object>} cardsById - For each card's deck config
+ * @returns {Array<{label: string, total: number, passed: number}>}
+ */
+function retentionByPhase(reviews, cardsById) {
+    return _tally(RETENTION_PHASES, r => {
+        const card = cardsById.get(r.cardId);
+        if (!card) return null;
+        const phase = StatsModule.phaseOf({ repetitions: r.prevRepetitions || 0, lastReviewed: r.timestamp, deckId: card.deckId });
+        return RETENTION_PHASES.find(p => p.phase === phase);
+    }, reviews);
+}
+
+// ── leeches ─────────────────────────────────────────────────────────────────
+
+/**
+ * Set the leech threshold and action (Settings → Study)
+ * @param {{threshold?: number, action?: string}} config - Invalid values are ignored
+ */
+function setLeechConfig({ threshold, action } = {}) {
+    const n = Number(threshold);
+    if (Number.isInteger(n) && n >= 2 && n <= 99) leechConfig.threshold = n;
+    if (action in LEECH_ACTIONS) leechConfig.action = action;
+}
+
+function getLeechConfig() {
+    return { ...leechConfig };
+}
+
+/**
+ * Whether a card is marked as a leech. The tag, not the lapse count,
+ * decides, so removing it after rewriting a card takes it off the list.
+ * @param {Object} card - Card
+ * @returns {boolean}
+ */
+function isLeech(card) {
+    return (card.tags || []).includes(LEECH_TAG);
+}
+
+/**
+ * Whether a review has just made a card a leech: its lapses reached the
+ * threshold, or (as in Anki) another half threshold beyond it, so a card
+ * untagged after a rewrite that keeps failing is flagged again
+ * @param {Object} before - Card before the review
+ * @param {Object} after - Card after the review (SM2.calculateNextReview)
+ * @returns {boolean}
+ */
+function becameLeech(before, after) {
+    const lapses = after.lapses || 0;
+    if (lapses === (before.lapses || 0) || lapses < leechConfig.threshold) return false;
+    return (lapses - leechConfig.threshold) % Math.ceil(leechConfig.threshold / 2) === 0;
+}
+
+/**
+ * Fields that mark a card as a leech under the current action
+ * @param {Object} card - Card
+ * @returns {{tags: Array<string>, suspended?: boolean}}
+ */
+function leechUpdates(card) {
+    const updates = { tags: isLeech(card) ? card.tags : [...(card.tags || []), LEECH_TAG] };
+    if (leechConfig.action === 'suspend') updates.suspended = true;
+    return updates;
+}
+
+/**
+ * Leech cards, most lapses first
+ * @param {Array} cards - Cards to consider
+ * @returns {Array<{card: Object, lapses: number}>}
+ */
+function findLeeches(cards) {
+    return cards
+        .filter(isLeech)
+        .map(card => ({ card, lapses: card.lapses || 0 }))
+        .sort((a, b) => b.lapses - a.lapses);
+}
+
+/**
+ * Table of pass rates with a bar per row
+ * @param {Array<{label: string, total: number, passed: number}>} rows
+ * @returns {string} HTML
+ */
+function renderRetentionTable(rows) {
+    const shown = rows.filter(r => r.total > 0);
+    if (shown.length === 0) return '<p class="setting-hint">No reviews to measure yet.</p>';
+    return `
+        <table class="retention-table">
+            <thead><tr><th></th><th>Remembered</th><th>Reviews</th></tr></thead>
+            <tbody>
+                ${shown.map(r => {
+                    const pct = Math.round((r.passed / r.total) * 100);
+                    return `
+                <tr>
+                    <td>${UI.escapeHtml(r.label)}</td>
+                    <td><span class="retention-meter"><span style="width: ${pct}%"></span></span>${pct}%</td>
+                    <td>${r.total}</td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>`;
+}
+
+window.Retention = {
+    LEECH_TAG,
+    LEECH_ACTIONS,
+    DEFAULT_LEECH_CONFIG,
+    isRecallTest,
+    isLapse,
+    retentionByInterval,
+    retentionByPhase,
+    setLeechConfig,
+    getLeechConfig,
+    isLeech,
+    becameLeech,
+    leechUpdates,
+    findLeeches,
+    renderRetentionTable
+};
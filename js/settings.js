@@ -1,14 +1,44 @@
 /**
  * Settings module
- * Preferences, data export/import, notifications, dark mode.
+ * Preferences, pronunciation, scheduler choice, data export/import,
+ * notifications, dark mode.
  */
 window.SettingsModule = (function () {
     'use strict';
 
     let notificationsEnabled = false;
+    let pendingBackup = null;       // JSON text of the backup the restore dialog is showing
+
+    const MAX_LISTED_PROBLEMS = 20;
 
     let notificationToggle, notificationHint, darkModeToggle;
     let backupFileInput;
+    let restoreModal, restoreFileInfo, restoreOptions, restoreSummary, restoreCancelBtn, restoreConfirmBtn;
+    let restoreProblems, restoreProblemsTitle, restoreProblemList, restoreRepair;
+    let schedulerSelect, retentionRow, retentionInput, schedulerHint;
+    let leechThresholdInput, leechActionSelect, dayStartSelect;
+    let scheduleFields, scheduleError;
+    let ttsFrontLang, ttsBackLang, ttsAutoPlay, ttsHint;
+
+    // Functions, so the SM-2 hint follows the schedule config as it is edited
+    const SCHEDULER_HINTS = {
+        sm2: () => {
+            const { learningSteps, graduatedDays } = SM2.configFor();
+            const steps = [
+                ...learningSteps.map(m => `${m} min`),
+                ...(graduatedDays.length ? [`${graduatedDays.join(' / ')} day`] : [])
+            ];
+            return steps.length
+                ? `Enhanced SM-2 with a graduated ${steps.join(' / ')} schedule`
+                : 'Enhanced SM-2';
+        },
+        fsrs: () => 'FSRS tracks each card\'s memory stability and schedules it for the target retention. Higher retention means more reviews.'
+    };
+
+    function _renderSchedulerHint() {
+        const hint = SCHEDULER_HINTS[SM2.getScheduler().id];
+        schedulerHint.textContent = hint ? hint() : '';
+    }
 
     function setDarkMode(enabled) {
         UI.setDarkMode(enabled);
@@ -17,6 +47,18 @@ window.SettingsModule = (function () {
         darkModeToggle.checked = enabled;
     }
 
+    function setTypedAnswers(enabled) {
+        UI.setTypedAnswers(enabled);
+        localStorage.setItem('kapanak-typed-answers', enabled);
+        document.getElementById('typed-answers-toggle').checked = enabled;
+    }
+
+    function setLenientDiacritics(enabled) {
+        UI.setLenientDiacritics(enabled);
+        localStorage.setItem('kapanak-lenient-diacritics', enabled);
+        document.getElementById('lenient-diacritics-toggle').checked = enabled;
+    }
+
     function setSwapMode(enabled) {
         UI.setSwapped(enabled);
         localStorage.setItem('kapanak-swap-mode', enabled);
@@ -24,6 +66,123 @@ window.SettingsModule = (function () {
         document.getElementById('swap-label').textContent = enabled ? 'Back → Front' : 'Front → Back';
     }
 
+    // Pronunciation languages (per side) and auto-play; deck languages
+    // override the languages at playback time (see Speech.langFor)
+    function setSpeechLangs(front, back) {
+        Speech.setLangs(front, back);
+        localStorage.setItem('kapanak-tts-front-lang', front);
+        localStorage.setItem('kapanak-tts-back-lang', back);
+        ttsFrontLang.value = front;
+        ttsBackLang.value  = back;
+        _updateSpeechHint();
+    }
+
+    function setSpeechAutoPlay(mode) {
+        Speech.setAutoPlay(mode);
+        localStorage.setItem('kapanak-tts-autoplay', Speech.getAutoPlay());
+        ttsAutoPlay.value = Speech.getAutoPlay();
+    }
+
+    function _updateSpeechHint() {
+        const { front, back } = Speech.getLangs();
+        const missing = [front, back].filter(lang => lang && !Speech.hasVoice(lang));
+        if (!Speech.isSupported()) {
+            ttsHint.textContent = 'Speech is not supported in this browser.';
+        } else if (missing.length > 0) {
+            ttsHint.textContent = `No voice installed for ${missing.join(', ')} — those sides stay silent.`;
+        } else {
+            ttsHint.textContent = 'A deck\'s own languages take precedence. Press R while studying to replay.';
+        }
+    }
+
+    // Switching schedulers converts every card's state into what the new
+    // scheduler expects; cards added later are converted on their first review.
+    async function setScheduler(id, { migrate = true } = {}) {
+        SM2.setScheduler(id);
+        const active = SM2.getScheduler().id;
+        localStorage.setItem('kapanak-scheduler', active);
+        schedulerSelect.value = active;
+        retentionRow.classList.toggle('hidden', active !== 'fsrs');
+        _renderSchedulerHint();
+        if (!migrate) return;
+        try {
+            await CardDB.modifyAllCards(SM2.migrateCard);
+            UI.showToast(`Scheduler: ${SM2.getScheduler().label}`);
+        } catch (e) {
+            UI.showToast('Error converting cards');
+        }
+    }
+
+    function setTargetRetention(value) {
+        FSRS.setTargetRetention(value);
+        const retention = FSRS.getTargetRetention();
+        localStorage.setItem('kapanak-target-retention', retention);
+        retentionInput.value = retention;
+    }
+
+    function setDayStart(hour) {
+        DailyLimits.setDayStart(hour);
+        const start = DailyLimits.getDayStart();
+        localStorage.setItem('kapanak-day-start', start);
+        dayStartSelect.value = start;
+    }
+
+    function setLeechConfig(config) {
+        Retention.setLeechConfig(config);
+        const { threshold, action } = Retention.getLeechConfig();
+        localStorage.setItem('kapanak-leech-threshold', threshold);
+        localStorage.setItem('kapanak-leech-action', action);
+        leechThresholdInput.value = threshold;
+        leechActionSelect.value = action;
+    }
+
+    // ── schedule config ─────────────────────────────────────────────────────
+    // The same data-schedule inputs appear here (global values) and in the
+    // deck modal (overrides), so reading/filling them is shared.
+
+    function readScheduleFields(container) {
+        const raw = {};
+        container.querySelectorAll('[data-schedule]').forEach(input => {
+            raw[input.dataset.schedule] = input.value.trim();
+        });
+        return raw;
+    }
+
+    function fillScheduleFields(container, values, { placeholders = false } = {}) {
+        container.querySelectorAll('[data-schedule]').forEach(input => {
+            const value = values[input.dataset.schedule];
+            const text  = Array.isArray(value) ? value.join(' ') : (value ?? '');
+            if (placeholders) input.placeholder = text;
+            else input.value = text;
+        });
+    }
+
+    function _loadSchedule() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem('kapanak-schedule') || '{}');
+        } catch (e) { /* corrupt value — fall back to defaults */ }
+        SM2.setConfig(SM2.validateConfig(stored, SM2.DEFAULT_CONFIG).values);
+        fillScheduleFields(scheduleFields, SM2.configFor());
+    }
+
+    function _saveSchedule() {
+        const { values, errors } = SM2.validateConfig(readScheduleFields(scheduleFields), SM2.DEFAULT_CONFIG);
+        scheduleError.textContent = errors.join('. ');
+        scheduleError.classList.toggle('hidden', errors.length === 0);
+        if (errors.length) return;
+        SM2.setConfig(values);
+        localStorage.setItem('kapanak-schedule', JSON.stringify(values));
+        fillScheduleFields(scheduleFields, SM2.configFor());
+        _renderSchedulerHint();
+        UI.showToast('Schedule saved');
+    }
+
+    function _resetSchedule() {
+        fillScheduleFields(scheduleFields, SM2.DEFAULT_CONFIG);
+        scheduleError.classList.add('hidden');
+    }
+
     async function setNotifications(enabled) {
         if (enabled) {
             if (!('Notification' in window)) {
@@ -66,34 +225,109 @@ window.SettingsModule = (function () {
     async function _exportData() {
         try {
             const json = await CardDB.exportData();
-            const blob = new Blob([json], { type: 'application/json' });
-            const url  = URL.createObjectURL(blob);
-            const a    = document.createElement('a');
-            a.href     = url;
-            a.download = `kapanak-backup-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            UI.downloadFile(json, `kapanak-backup-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
             UI.showToast('Backup exported');
         } catch (e) {
             UI.showToast('Error exporting data');
         }
     }
 
+    /**
+     * Read a picked backup file and open the restore dialog for it
+     * @param {File} file - Backup JSON
+     */
     async function _importBackup(file) {
+        let checked;
         try {
-            const text  = await file.text();
-            const count = await CardDB.importData(text);
-            await StatsModule.update();
-            UI.showToast(`Restored ${count} card${count !== 1 ? 's' : ''}`);
+            pendingBackup = await file.text();
+            checked = BackupFormat.check(JSON.parse(pendingBackup));
         } catch (e) {
-            UI.showToast('Error restoring backup');
+            pendingBackup = null;
+            UI.showToast('Not a Kapanak backup file');
+            return;
+        }
+        const { data, warnings, problems } = checked;
+        const n = data.cards.length;
+        const date = data.exportDate ? new Date(data.exportDate).toLocaleString() : 'unknown date';
+        restoreFileInfo.textContent = [`${file.name} · ${n} card${n !== 1 ? 's' : ''} · exported ${date}`, ...warnings].join(' ');
+
+        restoreProblems.classList.toggle('hidden', problems.length === 0);
+        restoreRepair.checked = false;
+        if (problems.length > 0) {
+            const cards = new Set(problems.filter(p => p.card !== null).map(p => p.card)).size;
+            restoreProblemsTitle.textContent = `${problems.length} problem${problems.length !== 1 ? 's' : ''}` +
+                (cards ? ` in ${cards} card${cards !== 1 ? 's' : ''}` : '') + ' — repair to restore:';
+            restoreProblemList.innerHTML = problems.slice(0, MAX_LISTED_PROBLEMS).map(p => `<li>${
+                p.card === null ? '' : `Card ${p.card}${p.front ? ` (${UI.escapeHtml(p.front)})` : ''}: `
+            }${UI.escapeHtml(p.message)}</li>`).join('') +
+                (problems.length > MAX_LISTED_PROBLEMS ? `<li>…and ${problems.length - MAX_LISTED_PROBLEMS} more</li>` : '');
         }
+
+        restoreOptions.classList.remove('hidden');
+        restoreSummary.classList.add('hidden');
+        restoreCancelBtn.classList.remove('hidden');
+        restoreConfirmBtn.textContent = 'Restore';
+        restoreConfirmBtn.disabled = problems.length > 0;
+        restoreModal.classList.remove('hidden');
+    }
+
+    async function _restoreBackup() {
+        // After a restore the button reads "Done"
+        if (pendingBackup === null) { _closeRestore(); return; }
+        const mode = restoreOptions.querySelector('input[name="restore-mode"]:checked').value;
+        if (mode === 'replace' && !confirm('Replace ALL cards on this device with the backup?')) return;
+
+        restoreConfirmBtn.disabled = true;
+        if (!await SnapshotModule.before('Before restoring a backup')) { restoreConfirmBtn.disabled = false; return; }
+        let result;
+        try {
+            result = await CardDB.importData(pendingBackup, { mode, repair: restoreRepair.checked });
+        } catch (e) {
+            console.error('Restore error:', e);
+            restoreConfirmBtn.disabled = false;
+            UI.showToast('Error restoring backup — nothing was changed');
+            return;
+        }
+        pendingBackup = null;
+        await DeckModule.refresh();
+        await StatsModule.update();
+        _showRestoreSummary(result);
+    }
+
+    function _showRestoreSummary({ added, updated, skipped, decksAdded, conflicts, fixed, removed }) {
+        const plural = (n, word) => `${n} ${word}${n !== 1 ? 's' : ''}`;
+        const counts = [`${plural(added, 'card')} added`];
+        if (updated) counts.push(`${updated} updated`);
+        if (skipped) counts.push(`${skipped} skipped`);
+        if (decksAdded) counts.push(`${plural(decksAdded, 'deck')} added`);
+
+        let html = `<p>${counts.join(' · ')}</p>`;
+        if (fixed || removed) {
+            html += `<p>Repaired ${plural(fixed, 'card')}` + (removed ? `, dropped ${removed} without text` : '') + '.</p>';
+        }
+        if (conflicts.length > 0) {
+            html += `<p>${plural(conflicts.length, 'card')} had been edited on both devices; the other copy's changes were not kept:</p>
+                <ul class="restore-conflicts">
+                    ${conflicts.map(c => `<li>${UI.escapeHtml(c.front)} — kept ${c.kept === 'backup' ? 'the backup' : 'this device'}'s copy</li>`).join('')}
+                </ul>`;
+        }
+        restoreSummary.innerHTML = html;
+        restoreSummary.classList.remove('hidden');
+        restoreOptions.classList.add('hidden');
+        restoreProblems.classList.add('hidden');
+        restoreCancelBtn.classList.add('hidden');
+        restoreConfirmBtn.textContent = 'Done';
+        restoreConfirmBtn.disabled = false;
+    }
+
+    function _closeRestore() {
+        pendingBackup = null;
+        restoreModal.classList.add('hidden');
     }
 
     async function _deleteAll() {
-        if (!confirm('Delete ALL cards? This cannot be undone.')) return;
+        if (!confirm('Delete ALL cards? A restore point is saved first (Settings → Restore Points).')) return;
+        if (!await SnapshotModule.before('Before deleting all data')) return;
         try {
             await CardDB.deleteAllCards();
             await StatsModule.update();
@@ -105,6 +339,22 @@ window.SettingsModule = (function () {
 
     function loadPreferences() {
         setSwapMode(localStorage.getItem('kapanak-swap-mode') === 'true');
+        setTypedAnswers(localStorage.getItem('kapanak-typed-answers') === 'true');
+        setLenientDiacritics(localStorage.getItem('kapanak-lenient-diacritics') !== 'false');
+        setSpeechLangs(
+            localStorage.getItem('kapanak-tts-front-lang') ?? 'pl-PL',
+            localStorage.getItem('kapanak-tts-back-lang') ?? 'en-US'
+        );
+        setSpeechAutoPlay(localStorage.getItem('kapanak-tts-autoplay') || 'off');
+
+        _loadSchedule();
+        setTargetRetention(localStorage.getItem('kapanak-target-retention') || 0.9);
+        setScheduler(localStorage.getItem('kapanak-scheduler') || 'sm2', { migrate: false });
+        setDayStart(localStorage.getItem('kapanak-day-start') ?? DailyLimits.DEFAULT_DAY_START);
+        setLeechConfig({
+            threshold: localStorage.getItem('kapanak-leech-threshold') || Retention.DEFAULT_LEECH_CONFIG.threshold,
+            action: localStorage.getItem('kapanak-leech-action') || Retention.DEFAULT_LEECH_CONFIG.action
+        });
 
         notificationsEnabled = localStorage.getItem('kapanak-notifications') === 'true';
         notificationToggle.checked = notificationsEnabled;
@@ -127,8 +377,54 @@ window.SettingsModule = (function () {
         notificationHint   = document.getElementById('notification-hint');
         darkModeToggle     = document.getElementById('dark-mode-toggle');
         backupFileInput    = document.getElementById('backup-file-input');
+        restoreModal       = document.getElementById('restore-modal');
+        restoreFileInfo    = document.getElementById('restore-file-info');
+        restoreOptions     = document.getElementById('restore-options');
+        restoreSummary     = document.getElementById('restore-summary');
+        restoreCancelBtn   = document.getElementById('restore-cancel-btn');
+        restoreConfirmBtn  = document.getElementById('restore-confirm-btn');
+        restoreProblems    = document.getElementById('restore-problems');
+        restoreProblemsTitle = document.getElementById('restore-problems-title');
+        restoreProblemList = document.getElementById('restore-problem-list');
+        restoreRepair      = document.getElementById('restore-repair');
+        schedulerSelect    = document.getElementById('scheduler-select');
+        retentionRow       = document.getElementById('retention-row');
+        retentionInput     = document.getElementById('retention-input');
+        schedulerHint      = document.getElementById('scheduler-hint');
+        leechThresholdInput = document.getElementById('leech-threshold');
+        leechActionSelect  = document.getElementById('leech-action');
+        dayStartSelect     = document.getElementById('day-start-select');
+        scheduleFields     = document.getElementById('schedule-fields');
+        scheduleError      = document.getElementById('schedule-error');
+        ttsFrontLang       = document.getElementById('tts-front-lang');
+        ttsBackLang        = document.getElementById('tts-back-lang');
+        ttsAutoPlay        = document.getElementById('tts-autoplay');
+        ttsHint            = document.getElementById('tts-hint');
+
+        const onLangChange = () => setSpeechLangs(ttsFrontLang.value.trim(), ttsBackLang.value.trim());
+        ttsFrontLang.addEventListener('change', onLangChange);
+        ttsBackLang.addEventListener('change', onLangChange);
+        ttsAutoPlay.addEventListener('change', e => setSpeechAutoPlay(e.target.value));
+        // Voices may arrive after load; refresh the hint whenever Settings opens
+        document.getElementById('settings-btn').addEventListener('click', _updateSpeechHint);
+
+        schedulerSelect.innerHTML = SM2.listSchedulers()
+            .map(s => `<option value="${s.id}">${UI.escapeHtml(s.label)}</option>`).join('');
+        schedulerSelect.addEventListener('change', e => setScheduler(e.target.value));
+        retentionInput.addEventListener('change', e => setTargetRetention(e.target.value));
+        document.getElementById('schedule-save-btn').addEventListener('click', _saveSchedule);
+        document.getElementById('schedule-reset-btn').addEventListener('click', _resetSchedule);
+        leechActionSelect.innerHTML = Object.entries(Retention.LEECH_ACTIONS)
+            .map(([id, label]) => `<option value="${id}">${UI.escapeHtml(label)}</option>`).join('');
+        dayStartSelect.innerHTML = Array.from({ length: 24 }, (_, h) =>
+            `<option value="${h}">${String(h).padStart(2, '0')}:00</option>`).join('');
+        dayStartSelect.addEventListener('change', e => setDayStart(e.target.value));
+        leechThresholdInput.addEventListener('change', e => setLeechConfig({ threshold: e.target.value }));
+        leechActionSelect.addEventListener('change', e => setLeechConfig({ action: e.target.value }));
 
         document.getElementById('swap-toggle').addEventListener('change', e => setSwapMode(e.target.checked));
+        document.getElementById('typed-answers-toggle').addEventListener('change', e => setTypedAnswers(e.target.checked));
+        document.getElementById('lenient-diacritics-toggle').addEventListener('change', e => setLenientDiacritics(e.target.checked));
         notificationToggle.addEventListener('change', e => setNotifications(e.target.checked));
         darkModeToggle.addEventListener('change',     e => setDarkMode(e.target.checked));
 
@@ -137,6 +433,9 @@ window.SettingsModule = (function () {
         backupFileInput.addEventListener('change', e => {
             if (e.target.files.length > 0) { _importBackup(e.target.files[0]); e.target.value = ''; }
         });
+        restoreCancelBtn.addEventListener('click', _closeRestore);
+        restoreConfirmBtn.addEventListener('click', _restoreBackup);
+        restoreRepair.addEventListener('change', () => { restoreConfirmBtn.disabled = !restoreRepair.checked; });
         document.getElementById('delete-all-btn').addEventListener('click', _deleteAll);
 
         document.getElementById('settings-btn').addEventListener('click', () => UI.showScreen('settings'));
@@ -146,5 +445,5 @@ window.SettingsModule = (function () {
         });
     }
 
-    return { init, loadPreferences };
+    return { init, loadPreferences, readScheduleFields, fillScheduleFields };
 })();
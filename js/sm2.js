@@ -3,7 +3,7 @@
  * Based on SuperMemo 2 with a graduated interval schedule
  * for more granular early-phase repetition.
  *
- * Schedule for successful reviews (quality >= 3):
+ * Default schedule for successful reviews (quality >= 3):
  *   rep 0 → 10 min   (learning phase)
  *   rep 1 → 1 day    (graduated phase)
  *   rep 2 → 3 days
@@ -12,37 +12,318 @@
  *   rep 5+ → interval × EF  (mature, standard SM-2)
  *
  * Quality ratings:
- * 0 - Complete blackout (Again)  → reset to rep 0, due in 1 min
+ * 0 - Complete blackout (Again)  → reset to rep 0, relearning step (1 min)
+ * 2 - Half remembered (Hard) → (re)learning: halfway from the previous step
+ *                                to the current one, no advance
+ *                              graduated: halfway between the previous and
+ *                                current step, no advance
+ *                              mature: interval × 1.2
+ *   (so Hard always comes back sooner than Good)
  * 3 - Correct with difficulty (Good) → advance one step
- * 5 - Perfect response (Easy) → skip one step / 1.3× bonus
+ * 5 - Perfect response (Easy) → skip one step / easy bonus (1.3×)
+ *
+ * The ease factor follows the standard SM-2 formula for every passing
+ * grade: Hard −0.32, Good −0.14, Easy +0.10 (never below 1.3).
+ *
+ * The steps, easy bonus, starting ease and maximum interval come from the
+ * schedule config: global values from Settings, optionally overridden per
+ * deck (deck.settings.scheduling). Phase boundaries therefore depend on the
+ * config — use masteryThreshold(deckId) rather than a fixed rep count.
+ * The same config carries each deck's daily limits, applied by limits.js.
+ *
+ * This file also owns the scheduler interface. A scheduler is
+ *   { id, label, review(card, quality, now) → updated card,
+ *     migrate?(card) → fields to add when switching to this scheduler }
+ * SM-2 is built in; others (fsrs.js) call registerScheduler. Every caller
+ * goes through calculateNextReview / getIntervalHint, which use whichever
+ * scheduler is active, so the rest of the app never names a scheduler.
+ */
+
+const QUALITY = { AGAIN: 0, HARD: 2, GOOD: 3, EASY: 5 };
+const HARD_MULTIPLIER = 1.2;            // mature-phase interval growth on Hard
+const MINUTES_PER_DAY = 24 * 60;
+
+const DEFAULT_CONFIG = {
+    learningSteps:   [10],          // minutes, new cards (rep 0…)
+    relearningSteps: [1],           // minutes, after Again
+    graduatedDays:   [1, 3, 7, 14], // day-based steps after learning
+    easyBonus:       1.3,           // Easy multiplier in graduated/mature phases
+    startingEase:    2.5,           // ease factor given on the first review
+    maxInterval:     36500,         // days
+    newPerDay:       20,            // new cards introduced per study day
+    reviewsPerDay:   200,           // review cards per study day
+    newCardOrder:    'created'      // see NEW_CARD_ORDERS
+};
+
+const CONFIG_LIMITS = {
+    easyBonus:     { min: 1,   max: 5,     label: 'Easy bonus' },
+    startingEase:  { min: 1.3, max: 5,     label: 'Starting ease' },
+    maxInterval:   { min: 1,   max: 36500, label: 'Maximum interval', integer: true },
+    newPerDay:     { min: 0,   max: 9999,  label: 'New cards per day', integer: true },
+    reviewsPerDay: { min: 0,   max: 99999, label: 'Reviews per day', integer: true }
+};
+
+// Order new cards are introduced in: when they were added, or notebook
+// page and slot
+const NEW_CARD_ORDERS = ['created', 'notebook'];
+
+let globalConfig = { ...DEFAULT_CONFIG };
+const deckConfigs = new Map();
+
+function _parseSteps(value) {
+    if (Array.isArray(value)) return value.map(Number);
+    return String(value).split(/[\s,]+/).filter(Boolean).map(Number);
+}
+
+/**
+ * Parse and validate schedule settings
+ * @param {Object} raw - Field values. Step lists may be arrays or strings
+ *                      ("10 30" / "10, 30"); missing or '' fields are skipped.
+ * @param {Object} [base] - Config the values will be merged over (for cross-field checks)
+ * @returns {{values: Object, errors: Array<string>}} values holds only the given, valid fields
  */
+function validateConfig(raw, base = globalConfig) {
+    const values = {};
+    const errors = [];
+    const given = key => raw[key] !== undefined && raw[key] !== null && raw[key] !== '';
+
+    const stepFields = {
+        learningSteps:   { label: 'Learning steps',   allowEmpty: true },
+        relearningSteps: { label: 'Relearning steps', allowEmpty: false },
+        graduatedDays:   { label: 'Graduated days',   allowEmpty: false, integer: true }
+    };
+    for (const [key, rule] of Object.entries(stepFields)) {
+        if (raw[key] === undefined || raw[key] === null) continue;
+        if (raw[key] === '' && rule.allowEmpty === false) continue; // blank = inherit
+        const steps = _parseSteps(raw[key]);
+        if (steps.some(n => !Number.isFinite(n) || n <= 0 || (rule.integer && !Number.isInteger(n)))) {
+            errors.push(`${rule.label}: use positive ${rule.integer ? 'whole numbers' : 'numbers'}`);
+        } else if (!rule.allowEmpty && steps.length === 0) {
+            errors.push(`${rule.label}: at least one step is required`);
+        } else if (steps.some((n, i) => i > 0 && n <= steps[i - 1])) {
+            errors.push(`${rule.label}: steps must increase`);
+        } else {
+            values[key] = steps;
+        }
+    }
+
+    for (const [key, rule] of Object.entries(CONFIG_LIMITS)) {
+        if (!given(key)) continue;
+        const n = Number(raw[key]);
+        if (!Number.isFinite(n) || n < rule.min || n > rule.max || (rule.integer && !Number.isInteger(n))) {
+            errors.push(`${rule.label}: must be between ${rule.min} and ${rule.max}`);
+        } else {
+            values[key] = n;
+        }
+    }
+
+    if (given('newCardOrder')) {
+        if (NEW_CARD_ORDERS.includes(raw.newCardOrder)) values.newCardOrder = raw.newCardOrder;
+        else errors.push('New card order: unknown order');
+    }
 
-// Graduated schedule: index = repetition count, value = minutes or days
-// rep 0 is sub-day (minutes), reps 1-4 are day-based
-const LEARNING_STEPS_MIN = [10];        // sub-day steps in minutes (rep 0)
-const GRADUATED_DAYS = [1, 3, 7, 14];   // day-based steps (reps 1-4)
-const LEARNING_COUNT = LEARNING_STEPS_MIN.length; // reps in learning phase
-const GRADUATED_COUNT = GRADUATED_DAYS.length;    // reps in graduated phase
-const MASTERY_THRESHOLD = LEARNING_COUNT + GRADUATED_COUNT; // rep 5+ = mastered
+    const merged = { ...base, ...values };
+    const lastDay = merged.graduatedDays[merged.graduatedDays.length - 1];
+    if (errors.length === 0 && lastDay > merged.maxInterval) {
+        errors.push('Maximum interval is shorter than the last graduated day');
+    }
+
+    return { values, errors };
+}
 
 /**
- * Calculate the next review date and update card parameters
+ * Replace the global schedule config (unset fields fall back to defaults)
+ * @param {Object} values - Validated values from validateConfig
+ */
+function setConfig(values) {
+    globalConfig = { ...DEFAULT_CONFIG, ...values };
+}
+
+/**
+ * Set or clear one deck's schedule overrides
+ * @param {string} deckId - Deck ID
+ * @param {Object} [overrides] - Validated values; empty/absent clears the override
+ */
+function setDeckConfig(deckId, overrides) {
+    if (overrides && Object.keys(overrides).length > 0) deckConfigs.set(deckId, overrides);
+    else deckConfigs.delete(deckId);
+}
+
+/**
+ * Effective schedule config for a deck
+ * @param {string} [deckId] - Deck ID (omit for the global config)
+ * @returns {Object} Config with every field set
+ */
+function configFor(deckId) {
+    return { ...globalConfig, ...(deckConfigs.get(deckId) || {}) };
+}
+
+/**
+ * Minutes until a card answered Hard on a minute step comes back: half way
+ * from the previous step (nothing, before the first) to this one, so Hard
+ * is always sooner than Good. Shared with fsrs.js.
+ * @param {Array<number>} steps - learningSteps or relearningSteps
+ * @param {number} index - Current step
+ * @returns {number}
+ */
+function hardStepMinutes(steps, index) {
+    return ((index > 0 ? steps[index - 1] : 0) + steps[index]) / 2;
+}
+
+/**
+ * Repetitions at which a card counts as mastered (end of the graduated steps)
+ * @param {string} [deckId] - Deck ID (omit for the global config)
+ * @returns {number}
+ */
+function masteryThreshold(deckId) {
+    const config = configFor(deckId);
+    return config.learningSteps.length + config.graduatedDays.length;
+}
+
+function _minutesLater(now, minutes) {
+    return new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+function _daysLater(now, days) {
+    const dueDate = new Date(now);
+    dueDate.setDate(dueDate.getDate() + days);
+    return dueDate.toISOString();
+}
+
+const schedulers = new Map();
+let activeSchedulerId = 'sm2';
+
+/**
+ * Make a scheduler available for selection
+ * @param {Object} scheduler - { id, label, review, migrate? }
+ */
+function registerScheduler(scheduler) {
+    schedulers.set(scheduler.id, scheduler);
+}
+
+/**
+ * Switch the active scheduler. Unknown ids fall back to SM-2.
+ * @param {string} id - Scheduler id
+ */
+function setScheduler(id) {
+    activeSchedulerId = schedulers.has(id) ? id : 'sm2';
+}
+
+/**
+ * @returns {Object} The active scheduler
+ */
+function getScheduler() {
+    return schedulers.get(activeSchedulerId);
+}
+
+/**
+ * @returns {Array<{id:string, label:string}>} Registered schedulers
+ */
+function listSchedulers() {
+    return [...schedulers.values()].map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Fields the active scheduler needs on a card that was scheduled by another
+ * one (e.g. FSRS stability/difficulty derived from SM-2 interval/ease).
+ * @param {Object} card - The card
+ * @returns {Object} Fields to merge into the card ({} if nothing to do)
+ */
+function migrateCard(card) {
+    const scheduler = getScheduler();
+    return scheduler.migrate ? scheduler.migrate(card) : {};
+}
+
+/**
+ * Calculate the next review date and update card parameters using the
+ * active scheduler. Lapses (Again on a card that had been answered
+ * correctly before) are counted here, whichever scheduler is active.
+ * @param {Object} card - The card to update
+ * @param {number} quality - Rating: 0 (Again), 2 (Hard), 3 (Good), or 5 (Easy)
+ * @param {Date} [now] - Review time (defaults to the current time)
+ * @returns {Object} Updated card with new scheduling values
+ */
+function calculateNextReview(card, quality, now = new Date()) {
+    const updated = getScheduler().review(card, quality, now);
+    if (quality === QUALITY.AGAIN && card.lastReviewed && card.repetitions > 0) {
+        updated.lapses = (card.lapses || 0) + 1;
+    }
+    return updated;
+}
+
+/**
+ * Scheduling fields of a card that has never been studied, due now (Manage
+ * → Reset progress / Forget). Lapses and the review log are the caller's
+ * to keep or clear.
+ * @param {Object} card - The card to reset
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Fields to merge into the card
+ */
+function resetSchedule(card, now = new Date()) {
+    return {
+        interval: 0,
+        easeFactor: configFor(card.deckId).startingEase,
+        repetitions: 0,
+        relearnStep: null,
+        stability: null,
+        difficulty: null,
+        dueDate: now.toISOString(),
+        lastReviewed: null,
+        buriedUntil: null
+    };
+}
+
+/**
+ * Review that counts for only part of a normal one — used where the answer
+ * is weaker evidence than free recall (multiple-choice quiz). Failures
+ * count in full. On a pass the card advances a step as usual, but a day
+ * interval only grows by `weight` of the normal increase and memory-strength
+ * fields (ease factor, FSRS stability/difficulty) move `weight` of the way.
+ * @param {Object} card - The card to update
+ * @param {number} quality - Rating (see QUALITY)
+ * @param {number} weight - 0–1, share of a normal review
+ * @param {Date} [now] - Review time
+ * @returns {Object} Updated card
+ */
+function calculateWeightedReview(card, quality, weight, now = new Date()) {
+    const full = calculateNextReview(card, quality, now);
+    if (weight >= 1 || quality < QUALITY.HARD || !card.lastReviewed) return full;
+
+    const updated = { ...full };
+    for (const field of ['easeFactor', 'stability', 'difficulty']) {
+        if (typeof card[field] === 'number' && typeof full[field] === 'number') {
+            updated[field] = card[field] + (full[field] - card[field]) * weight;
+        }
+    }
+    if (card.interval > 0 && full.interval > card.interval) {
+        updated.interval = Math.max(1, Math.round(card.interval + (full.interval - card.interval) * weight));
+        updated.dueDate = _daysLater(now, updated.interval);
+    }
+    return updated;
+}
+
+/**
+ * SM-2 review step (the built-in scheduler)
  * @param {Object} card - The card to update
- * @param {number} quality - Rating: 0 (Again), 3 (Good), or 5 (Easy)
+ * @param {number} quality - Rating: 0 (Again), 2 (Hard), 3 (Good), or 5 (Easy)
+ * @param {Date} now - Review time
  * @returns {Object} Updated card with new SM-2 values
  */
-function calculateNextReview(card, quality) {
+function _sm2Review(card, quality, now) {
     const updated = { ...card };
-    const now = new Date();
+    const config = configFor(card.deckId);
+    const learningCount = config.learningSteps.length;
+    const graduatedCount = config.graduatedDays.length;
 
+    if (!card.lastReviewed) updated.easeFactor = config.startingEase;
     updated.lastReviewed = now.toISOString();
 
-    // Failed review — reset and re-learn
-    if (quality < 3) {
+    // Failed review — reset and walk the relearning steps
+    if (quality < QUALITY.HARD) {
         updated.repetitions = 0;
         updated.interval = 0;
-        const dueDate = new Date(now.getTime() + 60 * 1000); // 1 minute
-        updated.dueDate = dueDate.toISOString();
+        updated.relearnStep = 0;
+        updated.dueDate = _minutesLater(now, config.relearningSteps[0]);
         return updated;
     }
 
@@ -50,58 +331,86 @@ function calculateNextReview(card, quality) {
     const newEF = updated.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
     updated.easeFactor = Math.max(1.3, newEF);
 
+    // --- Relearning steps (after Again; Easy or the last step leaves them) ---
+    if (updated.relearnStep != null) {
+        if (quality === QUALITY.HARD) {
+            updated.dueDate = _minutesLater(now, hardStepMinutes(config.relearningSteps, updated.relearnStep));
+            return updated;
+        }
+        const next = updated.relearnStep + 1;
+        updated.relearnStep = null;
+        if (quality !== QUALITY.EASY && next < config.relearningSteps.length) {
+            updated.relearnStep = next;
+            updated.dueDate = _minutesLater(now, config.relearningSteps[next]);
+            return updated;
+        }
+    }
+
     const rep = updated.repetitions;
 
     // --- Learning phase (sub-day intervals) ---
-    if (rep < LEARNING_COUNT) {
-        if (quality === 5) {
+    if (rep < learningCount) {
+        if (quality === QUALITY.EASY) {
             // Easy: skip learning, graduate to first day interval
-            updated.interval = GRADUATED_DAYS[0];
-            updated.repetitions = LEARNING_COUNT + 1;
-            const dueDate = new Date(now);
-            dueDate.setDate(dueDate.getDate() + updated.interval);
-            updated.dueDate = dueDate.toISOString();
+            updated.interval = Math.min(config.graduatedDays[0], config.maxInterval);
+            updated.repetitions = learningCount + 1;
+            updated.dueDate = _daysLater(now, updated.interval);
+        } else if (quality === QUALITY.HARD) {
+            // Hard: halfway between the previous step and the current one
+            updated.interval = 0;
+            updated.dueDate = _minutesLater(now, hardStepMinutes(config.learningSteps, rep));
         } else {
             // Good: advance through learning steps
-            const minutes = LEARNING_STEPS_MIN[rep];
             updated.interval = 0; // sub-day marker
             updated.repetitions = rep + 1;
-            const dueDate = new Date(now.getTime() + minutes * 60 * 1000);
-            updated.dueDate = dueDate.toISOString();
+            updated.dueDate = _minutesLater(now, config.learningSteps[rep]);
         }
         return updated;
     }
 
     // --- Graduated phase (short day intervals) ---
-    const gradIndex = rep - LEARNING_COUNT;
-    if (gradIndex < GRADUATED_COUNT) {
-        if (quality === 5 && gradIndex + 1 < GRADUATED_COUNT) {
+    const gradIndex = rep - learningCount;
+    if (gradIndex < graduatedCount) {
+        if (quality === QUALITY.HARD) {
+            // Hard: halfway between the previous step (the last learning step
+            // before the first day step) and this one, stay on this step
+            const previous = gradIndex > 0 ? config.graduatedDays[gradIndex - 1]
+                : (config.learningSteps[learningCount - 1] || 0) / MINUTES_PER_DAY;
+            const days = (previous + config.graduatedDays[gradIndex]) / 2;
+            if (days < 1) {
+                updated.interval = 0;
+                updated.dueDate = _minutesLater(now, days * MINUTES_PER_DAY);
+                return updated;
+            }
+            updated.interval = Math.floor(days);
+        } else if (quality === QUALITY.EASY && gradIndex + 1 < graduatedCount) {
             // Easy: skip one step
-            updated.interval = GRADUATED_DAYS[gradIndex + 1];
+            updated.interval = config.graduatedDays[gradIndex + 1];
             updated.repetitions = rep + 2;
         } else {
-            updated.interval = GRADUATED_DAYS[gradIndex];
+            updated.interval = config.graduatedDays[gradIndex];
             updated.repetitions = rep + 1;
-            if (quality === 5) {
-                updated.interval = Math.round(updated.interval * 1.3);
+            if (quality === QUALITY.EASY) {
+                updated.interval = Math.round(updated.interval * config.easyBonus);
             }
         }
-        const dueDate = new Date(now);
-        dueDate.setDate(dueDate.getDate() + updated.interval);
-        updated.dueDate = dueDate.toISOString();
+        updated.interval = Math.min(updated.interval, config.maxInterval);
+        updated.dueDate = _daysLater(now, updated.interval);
         return updated;
     }
 
-    // --- Mature phase (standard SM-2) ---
-    updated.interval = Math.round(updated.interval * updated.easeFactor);
-    if (quality === 5) {
-        updated.interval = Math.round(updated.interval * 1.3);
+    // --- Mature phase (standard SM-2; Hard grows the interval by a fixed 1.2×) ---
+    if (quality === QUALITY.HARD) {
+        updated.interval = Math.max(updated.interval + 1, Math.round(updated.interval * HARD_MULTIPLIER));
+    } else {
+        updated.interval = Math.max(1, Math.round(updated.interval * updated.easeFactor));
+    }
+    if (quality === QUALITY.EASY) {
+        updated.interval = Math.round(updated.interval * config.easyBonus);
     }
+    updated.interval = Math.min(updated.interval, config.maxInterval);
     updated.repetitions = rep + 1;
-
-    const dueDate = new Date(now);
-    dueDate.setDate(dueDate.getDate() + updated.interval);
-    updated.dueDate = dueDate.toISOString();
+    updated.dueDate = _daysLater(now, updated.interval);
 
     return updated;
 }
@@ -113,17 +422,14 @@ function calculateNextReview(card, quality) {
  * @returns {string} Human-readable interval
  */
 function getIntervalHint(card, quality) {
-    const simulated = calculateNextReview(card, quality);
-
-    if (quality < 3) {
-        return '1 min';
-    }
+    const now = new Date();
+    const simulated = calculateNextReview(card, quality, now);
 
-    // Sub-day interval (learning phase)
+    // Sub-day interval (learning phase, failed cards)
     if (simulated.interval === 0) {
-        const now = new Date();
         const due = new Date(simulated.dueDate);
         const minutes = Math.round((due - now) / (60 * 1000));
+        if (due - now < 60 * 1000) return '<1 min';
         if (minutes < 60) return `${minutes} min`;
         return `${Math.round(minutes / 60)} hr`;
     }
@@ -148,8 +454,8 @@ function sortCardsForReview(cards) {
     const collator = new Intl.Collator('pl', { sensitivity: 'base' });
 
     return cards.sort((a, b) => {
-        const aLearning = a.repetitions < MASTERY_THRESHOLD;
-        const bLearning = b.repetitions < MASTERY_THRESHOLD;
+        const aLearning = a.repetitions < masteryThreshold(a.deckId);
+        const bLearning = b.repetitions < masteryThreshold(b.deckId);
 
         // Learning/graduated cards before mature cards
         if (aLearning && !bLearning) return -1;
@@ -166,11 +472,38 @@ function sortCardsForReview(cards) {
     });
 }
 
+// SM-2 keeps no extra state; switching back to it drops FSRS memory state,
+// which SM-2 reviews would leave stale (it is rebuilt from SM-2 fields if
+// FSRS is selected again).
+registerScheduler({
+    id: 'sm2',
+    label: 'SM-2 (graduated)',
+    review: _sm2Review,
+    migrate: card => card.stability != null ? { stability: null, difficulty: null } : {}
+});
+
 // Export functions and constants
 window.SM2 = {
     calculateNextReview,
+    calculateWeightedReview,
+    resetSchedule,
     getIntervalHint,
     sortCardsForReview,
-    LEARNING_COUNT,
-    MASTERY_THRESHOLD
+    registerScheduler,
+    setScheduler,
+    getScheduler,
+    listSchedulers,
+    migrateCard,
+    validateConfig,
+    setConfig,
+    setDeckConfig,
+    configFor,
+    masteryThreshold,
+    hardStepMinutes,
+    DEFAULT_CONFIG,
+    NEW_CARD_ORDERS,
+    QUALITY,
+    // Global-config views of the phase boundaries
+    get LEARNING_COUNT() { return globalConfig.learningSteps.length; },
+    get MASTERY_THRESHOLD() { return masteryThreshold(); }
 };
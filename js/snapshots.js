@@ -0,0 +1,233 @@
+/**
+ * Restore points
+ * Automatic local snapshots of all data, kept in a separate IndexedDB
+ * (KapanakSnapshots) so a mistaken delete or restore can be undone.
+ *
+ * - daily:  the first time the app is opened (or brought back) each day
+ * - auto:   just before a destructive operation — Delete All Data, deleting
+ *           a deck, restoring a backup or restoring a snapshot
+ * - manual: "Save restore point now" on the Restore Points screen
+ *
+ * Each snapshot is a CardDB.exportData() backup, so restoring one goes
+ * through the same validation as a backup file. Media blobs are left out of
+ * that JSON and stored once in their own table, shared by every snapshot that
+ * refers to them. Only the newest few of each kind are kept (RETENTION);
+ * nothing is saved while there are no cards.
+ */
+window.SnapshotModule = (function () {
+    'use strict';
+
+    const snapshotDb = new Dexie('KapanakSnapshots');
+    snapshotDb.version(1).stores({
+        snapshots: '++id, createdAt, kind',
+        media: 'id'
+    });
+
+    // Snapshots kept per kind; the oldest beyond this are deleted
+    const RETENTION = { daily: 7, auto: 10, manual: 5 };
+
+    const KIND_LABELS = { daily: 'Daily', auto: 'Automatic', manual: 'Saved by you' };
+
+    let snapshotList;
+
+    // ── storage ─────────────────────────────────────────────────────────────
+
+    async function _prune(kind) {
+        const ids = await snapshotDb.snapshots.where('kind').equals(kind).reverse().sortBy('createdAt')
+            .then(list => list.slice(RETENTION[kind]).map(s => s.id));
+        await snapshotDb.snapshots.bulkDelete(ids);
+    }
+
+    // Drop media no remaining snapshot refers to
+    async function _pruneMedia() {
+        const used = new Set();
+        await snapshotDb.snapshots.each(s => s.mediaIds.forEach(id => used.add(id)));
+        const unused = (await snapshotDb.media.toCollection().primaryKeys()).filter(id => !used.has(id));
+        await snapshotDb.media.bulkDelete(unused);
+    }
+
+    /**
+     * Save a snapshot of everything in CardDB
+     * @param {string} kind - 'daily' | 'auto' | 'manual'
+     * @param {string} [reason] - What it was taken before, shown in the list
+     * @returns {Promise<Object|null>} Snapshot metadata, or null when there are no cards
+     */
+    async function take(kind, reason = '') {
+        const data = await CardDB.exportData({ mediaData: false });
+        const { decks, cards, reviews, media } = JSON.parse(data);
+        if (cards.length === 0) return null;
+        const mediaIds = media.map(m => m.id);
+        const stored = new Set(await snapshotDb.media.where('id').anyOf(mediaIds).primaryKeys());
+        const added = (await Promise.all(mediaIds.filter(id => !stored.has(id)).map(CardDB.getMedia)))
+            .filter(Boolean)
+            .map(({ id, blob, thumb }) => ({ id, blob, thumb }));
+        await snapshotDb.media.bulkPut(added);
+        const mediaSize = (await snapshotDb.media.bulkGet(mediaIds))
+            .reduce((sum, m) => sum + (m ? m.blob.size + (m.thumb ? m.thumb.size : 0) : 0), 0);
+        const snapshot = {
+            createdAt: new Date().toISOString(),
+            kind,
+            reason,
+            cardCount: cards.length,
+            deckCount: decks.length,
+            reviewCount: reviews.length,
+            size: data.length + mediaSize,
+            data,
+            mediaIds
+        };
+        snapshot.id = await snapshotDb.snapshots.add(snapshot);
+        await _prune(kind);
+        await _pruneMedia();
+        return snapshot;
+    }
+
+    /**
+     * Take today's daily snapshot unless there already is one
+     * @returns {Promise<void>}
+     */
+    async function takeDaily() {
+        try {
+            const latest = await snapshotDb.snapshots.where('kind').equals('daily').reverse().sortBy('createdAt');
+            if (latest.length && new Date(latest[0].createdAt).toDateString() === new Date().toDateString()) return;
+            await take('daily');
+        } catch (e) {
+            console.error('Daily snapshot failed:', e);
+        }
+    }
+
+    /**
+     * Save a restore point before a destructive operation. If that fails
+     * (e.g. storage is full) the user decides whether to go ahead anyway.
+     * @param {string} reason - e.g. 'Before deleting all data'
+     * @returns {Promise<boolean>} Whether to continue with the operation
+     */
+    async function before(reason) {
+        try {
+            await take('auto', reason);
+            return true;
+        } catch (e) {
+            console.error('Snapshot failed:', e);
+            return confirm('Could not save a restore point first. Continue anyway?');
+        }
+    }
+
+    /**
+     * All snapshots without their data, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async function list() {
+        const snapshots = await snapshotDb.snapshots.orderBy('createdAt').reverse().toArray();
+        return snapshots.map(({ data, mediaIds, ...meta }) => meta);
+    }
+
+    /**
+     * Replace all data with a snapshot, saving the current state first
+     * @param {number} id - Snapshot ID
+     * @returns {Promise<Object>} CardDB.importData result
+     */
+    async function restore(id) {
+        const snapshot = await snapshotDb.snapshots.get(id);
+        if (!snapshot) throw new Error('Snapshot not found');
+        // Fetched first: the snapshot taken next may prune this one and its media
+        const media = (await snapshotDb.media.bulkGet(snapshot.mediaIds)).filter(Boolean);
+        await take('auto', `Before restoring the ${_formatDate(snapshot.createdAt)} snapshot`);
+        return await CardDB.importData(snapshot.data, { mode: 'replace', media });
+    }
+
+    // ── restore points screen ───────────────────────────────────────────────
+
+    function _formatDate(iso) {
+        return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    function _formatSize(bytes) {
+        return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+            : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    async function _renderList() {
+        const snapshots = await list();
+        if (snapshots.length === 0) {
+            snapshotList.innerHTML = '<div class="empty-state"><p>No restore points yet. One is saved each day you open Kapanak, and before anything that deletes or replaces cards.</p></div>';
+            return;
+        }
+        snapshotList.innerHTML = snapshots.map(s => `
+            <div class="card-item snapshot-item" data-id="${s.id}">
+                <div class="card-item-content">
+                    <div class="card-item-front">${UI.escapeHtml(_formatDate(s.createdAt))}</div>
+                    <div class="card-item-back">${s.cardCount} card${s.cardCount !== 1 ? 's' : ''} · ${s.deckCount} deck${s.deckCount !== 1 ? 's' : ''} · ${_formatSize(s.size)}</div>
+                    <div class="card-item-anchor">${UI.escapeHtml(s.reason || KIND_LABELS[s.kind])}</div>
+                </div>
+                <div class="card-item-actions">
+                    <button class="sort-chip snapshot-restore">Restore</button>
+                    <button class="card-item-delete" aria-label="Delete restore point">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </div>`).join('');
+    }
+
+    async function _restore(id) {
+        const snapshot = (await list()).find(s => s.id === id);
+        if (!snapshot) return;
+        if (!confirm(`Replace ALL cards on this device with the ${_formatDate(snapshot.createdAt)} restore point (${snapshot.cardCount} cards)? Your current cards are saved as a new restore point first.`)) return;
+        try {
+            await restore(id);
+        } catch (e) {
+            console.error('Snapshot restore error:', e);
+            UI.showToast('Error restoring — nothing was changed');
+            return;
+        }
+        await DeckModule.refresh();
+        await StatsModule.update();
+        await _renderList();
+        UI.showToast(`Restored ${snapshot.cardCount} card${snapshot.cardCount !== 1 ? 's' : ''}`);
+    }
+
+    async function _delete(id) {
+        if (!confirm('Delete this restore point?')) return;
+        await snapshotDb.snapshots.delete(id);
+        await _pruneMedia();
+        await _renderList();
+    }
+
+    async function _saveNow() {
+        try {
+            const snapshot = await take('manual');
+            UI.showToast(snapshot ? 'Restore point saved' : 'No cards to save');
+        } catch (e) {
+            UI.showToast('Error saving restore point');
+        }
+        await _renderList();
+    }
+
+    async function open() {
+        await _renderList();
+        UI.showScreen('snapshots');
+    }
+
+    function init() {
+        snapshotList = document.getElementById('snapshot-list');
+
+        snapshotList.addEventListener('click', e => {
+            const item = e.target.closest('.snapshot-item');
+            if (!item) return;
+            const id = Number(item.dataset.id);
+            if (e.target.closest('.snapshot-restore'))      _restore(id);
+            else if (e.target.closest('.card-item-delete')) _delete(id);
+        });
+        document.getElementById('snapshot-save-btn').addEventListener('click', _saveNow);
+        document.getElementById('snapshots-btn').addEventListener('click', open);
+        document.getElementById('snapshots-back-btn').addEventListener('click', () => UI.showScreen('settings'));
+
+        // The app may stay open for days; check again whenever it comes back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') takeDaily();
+        });
+    }
+
+    return { init, open, take, takeDaily, before, list, restore };
+})();
@@ -0,0 +1,139 @@
+/**
+ * Speech module
+ * Text-to-speech for card sides via the Web Speech API.
+ *
+ * Each side has a language (BCP 47, e.g. front = pl-PL, back = en-US). The
+ * card's deck languages win over the global ones from Settings. A voice is
+ * picked by exact tag, then by language prefix ("pl" for "pl-PL"); when the
+ * browser has no matching voice — or no speech support at all — playback is
+ * skipped and the learner is told once per language instead of hearing the
+ * word in the wrong accent.
+ */
+window.Speech = (function () {
+    'use strict';
+
+    const AUTO_PLAY_MODES = ['off', 'prompt', 'answer', 'both'];
+
+    let frontLang = 'pl-PL';
+    let backLang  = 'en-US';
+    let autoPlay  = 'off';        // 'off' | 'prompt' | 'answer' | 'both'
+    let voices    = [];
+    const warned  = new Set();    // languages already reported as missing
+
+    function isSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    // Chrome fills the voice list asynchronously
+    function _loadVoices() {
+        voices = speechSynthesis.getVoices();
+    }
+
+    function _voiceFor(lang) {
+        if (!lang) return null;
+        if (voices.length === 0) _loadVoices();
+        const tag  = lang.toLowerCase().replace('_', '-');
+        const base = tag.split('-')[0];
+        const norm = v => v.lang.toLowerCase().replace('_', '-');
+        return voices.find(v => norm(v) === tag) ||
+            voices.find(v => norm(v).split('-')[0] === base) ||
+            null;
+    }
+
+    /**
+     * @param {string} lang - BCP 47 tag
+     * @returns {boolean} True if a voice for the language is installed
+     */
+    function hasVoice(lang) {
+        return isSupported() && _voiceFor(lang) !== null;
+    }
+
+    /**
+     * Language of one side of a card: the deck's, else the global setting
+     * @param {Object} card - Card object
+     * @param {string} side - 'front' | 'back'
+     * @returns {string} BCP 47 tag ('' if none configured)
+     */
+    function langFor(card, side) {
+        const deck = DeckModule.getDecks().find(d => d.id === card.deckId);
+        const deckLang = deck && (side === 'front' ? deck.frontLang : deck.backLang);
+        return deckLang || (side === 'front' ? frontLang : backLang);
+    }
+
+    /**
+     * Speak a text, cancelling anything still playing
+     * @param {string} text - Text to speak
+     * @param {string} lang - BCP 47 tag
+     * @returns {boolean} False when nothing could be played
+     */
+    function speak(text, lang) {
+        if (!text || !isSupported()) return false;
+
+        const voice = _voiceFor(lang);
+        if (!voice) {
+            if (!warned.has(lang)) {
+                warned.add(lang);
+                UI.showToast(lang ? `No ${lang} voice installed` : 'No speech language set');
+            }
+            return false;
+        }
+
+        speechSynthesis.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang  = voice.lang;
+        utterance.voice = voice;
+        speechSynthesis.speak(utterance);
+        return true;
+    }
+
+    /**
+     * Speak one side of a card in that side's language
+     * @param {Object} card - Card object
+     * @param {string} side - 'front' | 'back' (the card's own sides, not the displayed ones)
+     * @returns {boolean}
+     */
+    function speakSide(card, side) {
+        return speak(side === 'front' ? card.front : card.back, langFor(card, side));
+    }
+
+    function stop() {
+        if (isSupported()) speechSynthesis.cancel();
+    }
+
+    /**
+     * Should this moment of a study card auto-play?
+     * @param {string} moment - 'prompt' (card shown) | 'answer' (card revealed)
+     * @returns {boolean}
+     */
+    function shouldAutoPlay(moment) {
+        return autoPlay === 'both' || autoPlay === moment;
+    }
+
+    function setLangs(front, back) {
+        frontLang = front;
+        backLang  = back;
+    }
+
+    function setAutoPlay(mode) {
+        autoPlay = AUTO_PLAY_MODES.includes(mode) ? mode : 'off';
+    }
+
+    if (isSupported()) {
+        _loadVoices();
+        speechSynthesis.addEventListener('voiceschanged', _loadVoices);
+    }
+
+    return {
+        isSupported,
+        hasVoice,
+        langFor,
+        speak,
+        speakSide,
+        stop,
+        shouldAutoPlay,
+        setLangs,
+        setAutoPlay,
+        getLangs: () => ({ front: frontLang, back: backLang }),
+        getAutoPlay: () => autoPlay
+    };
+})();
@@ -0,0 +1,229 @@
+/**
+ * Statistics screen
+ * Review history for the active deck (or all decks): a year-long calendar
+ * heatmap, reviews / study time / cards added over a chosen range, and
+ * how often each answer button was pressed, measured retention and leeches
+ * (retention.js), plus the workload forecast for the next 30 days
+ * (forecast.js). Built from the review log and card
+ * creation dates; charts come from charts.js.
+ */
+window.StatisticsModule = (function () {
+    'use strict';
+
+    // Longest answer time counted per review, so a card left open while
+    // away from the device doesn't inflate study time
+    const MAX_RESPONSE_MS = 60 * 1000;
+
+    // Ranges longer than this are charted per week instead of per day
+    const DAILY_BARS_MAX_DAYS = 90;
+
+    const ANSWERS = [
+        { quality: SM2.QUALITY.AGAIN, label: 'Again', className: 'answer-again' },
+        { quality: SM2.QUALITY.HARD,  label: 'Hard',  className: 'answer-hard' },
+        { quality: SM2.QUALITY.GOOD,  label: 'Good',  className: 'answer-good' },
+        { quality: SM2.QUALITY.EASY,  label: 'Easy',  className: 'answer-easy' }
+    ];
+
+    let rangeDays = 30;
+
+    let rangeChips, deckLabel, bucketHint, summaryEl, heatmapEl, reviewsEl, timeEl, addedEl, answersEl;
+    let retentionIntervalEl, retentionPhaseEl, leechList;
+    let forecastEl, forecastSummary, simulateToggle;
+
+    // ── helpers ─────────────────────────────────────────────────────────────
+
+    const plural = (n, word) => `${n} ${word}${n !== 1 ? 's' : ''}`;
+
+    function _formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    }
+
+    function _shortDate(date) {
+        return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    }
+
+    /**
+     * Time buckets covering the last `days` days up to today: one per day,
+     * or one per week (starting Monday) for long ranges
+     * @param {number} days - Range length
+     * @returns {{start: Date, size: number, buckets: Array<{label: string, start: Date}>}}
+     */
+    function _buckets(days) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const size = days > DAILY_BARS_MAX_DAYS ? 7 : 1;
+        const start = new Date(today);
+        start.setDate(start.getDate() - days + 1);
+        if (size === 7) start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+        const buckets = [];
+        for (const d = new Date(start); d <= today; d.setDate(d.getDate() + size)) {
+            buckets.push({ label: _shortDate(d), start: new Date(d) });
+        }
+        return { start, size, buckets };
+    }
+
+    /**
+     * Sum values into buckets by date
+     * @param {Array} items - Things to count
+     * @param {Function} dateOf - item → Date or ISO string
+     * @param {Function} valueOf - item → number to add
+     * @returns {Array<{label: string, value: number}>}
+     */
+    function _series(items, dateOf, valueOf) {
+        const { start, size, buckets } = _buckets(rangeDays);
+        const values = new Array(buckets.length).fill(0);
+        for (const item of items) {
+            const day = new Date(dateOf(item));
+            day.setHours(0, 0, 0, 0);
+            const index = Math.floor(Math.round((day - start) / 86400000) / size);
+            if (index >= 0 && index < values.length) values[index] += valueOf(item);
+        }
+        return buckets.map((b, i) => ({ label: b.label, value: values[i] }));
+    }
+
+    // ── rendering ───────────────────────────────────────────────────────────
+
+    function _renderSummary(reviews) {
+        const days = new Set(reviews.map(r => Charts.dayKey(r.timestamp))).size;
+        const time = reviews.reduce((sum, r) => sum + Math.min(r.responseTime || 0, MAX_RESPONSE_MS), 0);
+        summaryEl.innerHTML = `
+            <div class="stat-box">
+                <span class="stat-number">${reviews.length}</span>
+                <span class="stat-label">Reviews</span>
+            </div>
+            <div class="stat-box">
+                <span class="stat-number">${days}/${rangeDays}</span>
+                <span class="stat-label">Days studied</span>
+            </div>
+            <div class="stat-box">
+                <span class="stat-number">${_formatDuration(time)}</span>
+                <span class="stat-label">Study time</span>
+            </div>`;
+    }
+
+    function _renderAnswers(reviews) {
+        const rows = [
+            { label: 'New cards', reviews: reviews.filter(r => r.isNew) },
+            { label: 'Reviews',   reviews: reviews.filter(r => !r.isNew) }
+        ].filter(row => row.reviews.length > 0);
+        if (rows.length === 0) {
+            answersEl.innerHTML = '<p class="setting-hint">No answers in this period.</p>';
+            return;
+        }
+        answersEl.innerHTML = rows.map(row => `
+            <p class="chart-row-label">${row.label}</p>
+            ${Charts.renderBreakdown(ANSWERS.map(a => ({
+                label: a.label,
+                value: row.reviews.filter(r => r.quality === a.quality).length,
+                className: a.className
+            })))}`).join('');
+    }
+
+    function _renderRetention(cards, reviews) {
+        const cardsById = new Map(cards.map(c => [c.id, c]));
+        retentionIntervalEl.innerHTML = Retention.renderRetentionTable(Retention.retentionByInterval(reviews));
+        retentionPhaseEl.innerHTML = Retention.renderRetentionTable(Retention.retentionByPhase(reviews, cardsById));
+
+        const leeches = Retention.findLeeches(cards);
+        leechList.innerHTML = leeches.length === 0
+            ? `<div class="empty-state"><p>No leeches. A card becomes one when it has been forgotten ${Retention.getLeechConfig().threshold} times.</p></div>`
+            : leeches.map(({ card, lapses }) => `
+                <div class="card-item leech-item" data-id="${card.id}">
+                    <div class="card-item-content">
+                        <div class="card-item-front">${UI.escapeHtml(card.front)}</div>
+                        <div class="card-item-back">${UI.escapeHtml(card.back)}</div>
+                        <div class="card-item-anchor">Forgotten ${lapses} time${lapses !== 1 ? 's' : ''}${card.suspended ? ' · suspended' : ''}</div>
+                    </div>
+                </div>`).join('');
+    }
+
+    function _renderForecast(cards, done) {
+        const counts = Forecast.projectDueCounts(cards, { simulate: simulateToggle.checked, done });
+        const { total, peak, peakDate, average } = Forecast.summarizeForecast(counts);
+        forecastEl.innerHTML = Forecast.renderForecast(counts);
+        forecastSummary.textContent = total === 0 ? 'Nothing due in the next 30 days.'
+            : `${plural(total, 'review')} · about ${average < 10 ? Number(average.toFixed(1)) : Math.round(average)} a day · busiest ${peakDate.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })} (${peak})`;
+    }
+
+    async function _render() {
+        const deckId = UI.getDeckId();
+        const [cards, allReviews, done] = await Promise.all([CardDB.getAllCards(deckId), CardDB.getReviews(), DailyLimits.countToday()]);
+        const cardIds = new Set(cards.map(c => c.id));
+        const reviews = deckId ? allReviews.filter(r => cardIds.has(r.cardId)) : allReviews;
+
+        deckLabel.textContent = deckId ? DeckModule.nameOf(deckId) : 'All decks';
+        rangeChips.querySelectorAll('.sort-chip').forEach(c =>
+            c.classList.toggle('active', parseInt(c.dataset.range, 10) === rangeDays));
+        const { start, size } = _buckets(rangeDays);
+        bucketHint.textContent = `Bars show one ${size === 7 ? 'week' : 'day'} each.`;
+
+        const perDay = new Map();
+        for (const r of reviews) {
+            const key = Charts.dayKey(r.timestamp);
+            perDay.set(key, (perDay.get(key) || 0) + 1);
+        }
+        heatmapEl.innerHTML = Charts.renderHeatmap(perDay, {
+            describe: (n, date) => `${date.toLocaleDateString(undefined, { dateStyle: 'medium' })}: ${plural(n, 'review')}`
+        });
+
+        const inRange = reviews.filter(r => new Date(r.timestamp) >= start);
+        _renderSummary(inRange);
+        reviewsEl.innerHTML = Charts.renderBarChart(
+            _series(inRange, r => r.timestamp, () => 1),
+            { format: n => plural(n, 'review') });
+        timeEl.innerHTML = Charts.renderBarChart(
+            _series(inRange, r => r.timestamp, r => Math.min(r.responseTime || 0, MAX_RESPONSE_MS)),
+            { format: _formatDuration, className: 'chart-bar-time' });
+        addedEl.innerHTML = Charts.renderBarChart(
+            _series(cards, c => c.createdAt, () => 1),
+            { format: n => plural(n, 'card'), className: 'chart-bar-added' });
+        _renderAnswers(inRange);
+        _renderRetention(cards, reviews);
+        _renderForecast(cards, done);
+    }
+
+    async function open() {
+        UI.showScreen('statistics');
+        await _render();
+    }
+
+    function init() {
+        rangeChips = document.getElementById('statistics-range');
+        deckLabel  = document.getElementById('statistics-deck');
+        bucketHint = document.getElementById('statistics-bucket-hint');
+        summaryEl  = document.getElementById('statistics-summary');
+        heatmapEl  = document.getElementById('statistics-heatmap');
+        reviewsEl  = document.getElementById('statistics-reviews');
+        timeEl     = document.getElementById('statistics-time');
+        addedEl    = document.getElementById('statistics-added');
+        answersEl  = document.getElementById('statistics-answers');
+        retentionIntervalEl = document.getElementById('statistics-retention-interval');
+        retentionPhaseEl    = document.getElementById('statistics-retention-phase');
+        leechList           = document.getElementById('statistics-leeches');
+        forecastEl      = document.getElementById('statistics-forecast');
+        forecastSummary = document.getElementById('statistics-forecast-summary');
+        simulateToggle  = document.getElementById('statistics-simulate');
+
+        rangeChips.addEventListener('click', e => {
+            const chip = e.target.closest('.sort-chip');
+            if (!chip) return;
+            rangeDays = parseInt(chip.dataset.range, 10);
+            _render();
+        });
+        simulateToggle.addEventListener('change', _render);
+        leechList.addEventListener('click', e => {
+            const item = e.target.closest('.leech-item');
+            if (item) CardHistory.open(item.dataset.id);
+        });
+        document.getElementById('statistics-btn').addEventListener('click', open);
+        document.getElementById('statistics-back-btn').addEventListener('click', async () => {
+            await StatsModule.update();
+            UI.showScreen('home');
+        });
+    }
+
+    return { init, open };
+})();
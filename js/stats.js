@@ -8,26 +8,42 @@ window.StatsModule = (function () {
     let dueCountEl, totalCountEl, todayReviewedEl, streakBanner, streakText;
     let pipelineNew, pipelineLearning, pipelineGraduated, pipelineMature;
     let pipelineSegNew, pipelineSegLearning, pipelineSegGraduated, pipelineSegMature;
-    let studyBtn, practiceBtn, manageBtn, notebookBtn;
+    let studyBtn, practiceBtn, quizBtn, manageBtn, notebookBtn;
+
+    /**
+     * Pipeline phase of a card. Boundaries follow its deck's schedule
+     * config: "learning" covers the minute steps plus the first half of the
+     * day steps, "mature" starts at SM2.masteryThreshold.
+     * @param {Object} card - repetitions, lastReviewed and deckId are read
+     * @returns {string} 'new' | 'learning' | 'graduated' | 'mature'
+     */
+    function phaseOf(card) {
+        const config = SM2.configFor(card.deckId);
+        const learnEnd = config.learningSteps.length + Math.ceil(config.graduatedDays.length / 2);
+        if (card.repetitions === 0 && !card.lastReviewed)   return 'new';
+        if (card.repetitions < learnEnd)                    return 'learning';
+        if (card.repetitions < SM2.masteryThreshold(card.deckId)) return 'graduated';
+        return 'mature';
+    }
 
     async function update() {
-        const [dueCount, totalCount, allCards] = await Promise.all([
-            CardDB.getDueCount(),
-            CardDB.getTotalCount(),
-            CardDB.getAllCards()
+        const deckId = UI.getDeckId();
+        // Due today within the deck's daily limits, as Study Due will show them
+        // Reviewed today: every answer in the log since the study day began
+        // (the same boundary as the daily limits), so undo takes one back
+        const [dueCount, totalCount, allCards, todayCount] = await Promise.all([
+            DailyLimits.getStudyQueue(deckId).then(queue => queue.length),
+            CardDB.getTotalCount(deckId),
+            CardDB.getAllCards(deckId),
+            CardDB.getReviewsSince(DailyLimits.studyDayStart().toISOString()).then(reviews => reviews.length)
         ]);
 
         dueCountEl.textContent   = dueCount;
         totalCountEl.textContent = totalCount;
 
-        const MT = SM2.MASTERY_THRESHOLD;
-        let newC = 0, learnC = 0, gradC = 0, matureC = 0;
-        for (const c of allCards) {
-            if      (c.repetitions === 0 && !c.lastReviewed) newC++;
-            else if (c.repetitions < 3)   learnC++;
-            else if (c.repetitions < MT)  gradC++;
-            else                          matureC++;
-        }
+        const phases = { new: 0, learning: 0, graduated: 0, mature: 0 };
+        for (const c of allCards) phases[phaseOf(c)]++;
+        const { new: newC, learning: learnC, graduated: gradC, mature: matureC } = phases;
 
         pipelineNew.textContent       = newC;
         pipelineLearning.textContent  = learnC;
@@ -44,17 +60,13 @@ window.StatsModule = (function () {
                 .forEach(s => s.style.width = '0%');
         }
 
-        const today     = new Date().toDateString();
-        const storedDate = localStorage.getItem('kapanak-review-date');
-        const todayCount = storedDate === today
-            ? parseInt(localStorage.getItem('kapanak-today-count') || '0', 10)
-            : 0;
         todayReviewedEl.textContent = todayCount;
 
         _updateStreak();
 
         studyBtn.disabled   = dueCount === 0;
         practiceBtn.disabled = totalCount === 0;
+        quizBtn.disabled     = totalCount < 2;
         if (manageBtn)   manageBtn.disabled   = totalCount === 0;
         if (notebookBtn) notebookBtn.disabled  = totalCount === 0;
     }
@@ -94,9 +106,10 @@ window.StatsModule = (function () {
 
         studyBtn    = document.getElementById('study-btn');
         practiceBtn = document.getElementById('practice-btn');
+        quizBtn     = document.getElementById('quiz-btn');
         manageBtn   = document.getElementById('manage-btn');
         notebookBtn = document.getElementById('notebook-btn');
     }
 
-    return { init, update };
+    return { init, update, phaseOf };
 })();
@@ -1,6 +1,11 @@
 /**
  * Study session module
- * Handles both due-card study and practice-all sessions.
+ * Handles due-card study, practice-all, page-primed, tag-filtered and
+ * multiple-choice quiz sessions, with optional typed answers (graded by
+ * AnswerCheck, grade suggested). A card that becomes a leech during a
+ * session is handled as set in Settings (see Retention.leechUpdates).
+ * Suspended and buried cards (CardDB.isParked) are left out of every
+ * session; Bury parks the current card until tomorrow.
  */
 window.StudyModule = (function () {
     'use strict';
@@ -9,8 +14,16 @@ window.StudyModule = (function () {
     let currentCardIndex = 0;
     let reviewedCount = 0;
     let lastAction = null;
-    let isPracticeMode = false;
-    let isPageStudy = false;
+    let sessionMode = 'study';   // 'study' | 'practice' | 'page' | 'tag' | 'quiz'
+    let cardShownAt = 0;    // ms timestamp, for review response time
+
+    // Quiz: recognition answers count for half a review, failures in full
+    const QUIZ_WEIGHT = 0.5;
+    const QUIZ_OPTIONS = 4;
+    let quizPool = [];          // cards distractors are drawn from
+    let quizCorrectIndex = -1;
+    let quizAnswered = false;
+    let quizTimer = null;       // pending result after an answer is shown
 
     // Notebook position map: cardId → { page, pos } (set before starting page-primed session)
     let positionMap = null;
@@ -21,37 +34,50 @@ window.StudyModule = (function () {
     let isSwiping = false;
 
     // DOM refs (assigned in init)
-    let progressFill, progressText, flashcard, cardFront, cardBack;
-    let tapHint, reviewButtons, goodHint, easyHint, undoBtn;
+    let progressFill, progressText, flashcard, cardFront, cardBackText, cardExample, cardImage;
+    let tapHint, reviewButtons, againHint, hardHint, goodHint, easyHint, undoBtn, cardAudioBtn;
     let flashcardContainer, cardPosition, cardAnchor, completeStats;
+    let tagModal, tagQueryInput, tagChipsEl, tagDueToggle, tagCountEl;
+    let answerRow, answerInput, answerFeedback, answerVerdict, answerDiff;
+    let studyScreen, quizOptionsEl;
+    let leechModal, leechIntro, leechAnchorInput;
+    let leechCardId = null;     // card the anchor prompt is for
+
+    // Typed-answer mode: grade suggested by the last check (Enter applies it)
+    let suggestedQuality = null;
+    const VERDICT_TEXT = {
+        correct: 'Correct',
+        accent:  'Almost — check the accents',
+        typo:    'Close — small typo',
+        wrong:   'Not quite'
+    };
 
     // ── public: start sessions ──────────────────────────────────────────────
 
+    // Study Due: today's queue within the daily limits (see limits.js),
+    // already in order; cards passed in are sorted for review
     async function startStudy(cards) {
-        isPracticeMode = false;
-        isPageStudy = false;
+        sessionMode = 'study';
         positionMap = null;
 
-        if (!cards) {
-            cards = await CardDB.getDueCards();
-        }
+        const queue = cards ? SM2.sortCardsForReview(cards) : await DailyLimits.getStudyQueue(UI.getDeckId());
 
-        if (cards.length === 0) {
-            UI.showToast('No cards due for review!');
+        if (queue.length === 0) {
+            const due = cards ? 0 : await CardDB.getDueCount(UI.getDeckId());
+            UI.showToast(due > 0 ? 'Daily limit reached — more tomorrow' : 'No cards due for review!');
             return;
         }
 
-        studyQueue = SM2.sortCardsForReview(cards);
+        studyQueue = queue;
         _resetSession();
         UI.showScreen('study');
         _showCard();
     }
 
     async function startPractice() {
-        isPracticeMode = true;
-        isPageStudy = false;
+        sessionMode = 'practice';
         positionMap = null;
-        const all = await CardDB.getAllCards();
+        const all = (await CardDB.getAllCards(UI.getDeckId())).filter(c => !CardDB.isParked(c));
 
         if (all.length === 0) {
             UI.showToast('No cards to practice!');
@@ -69,14 +95,18 @@ window.StudyModule = (function () {
 
     // Page-primed: study only the cards from one notebook page
     async function startPageStudy(cards, pagePositionMap) {
-        isPracticeMode = false;
-        isPageStudy = true;
+        sessionMode = 'page';
         positionMap = pagePositionMap;
 
         if (cards.length === 0) {
             UI.showToast('No cards on this page.');
             return;
         }
+        cards = cards.filter(c => !CardDB.isParked(c));
+        if (cards.length === 0) {
+            UI.showToast('Every card on this page is suspended or buried');
+            return;
+        }
 
         const dueCards = await CardDB.getDueCards();
         const dueIds = new Set(dueCards.map(c => c.id));
@@ -91,6 +121,106 @@ window.StudyModule = (function () {
         _showCard();
     }
 
+    // Tag-filtered: cards in the active deck matching a tag query
+    // (see tags.js for the syntax), either only the due ones or all of them
+    async function startTagStudy(query, { dueOnly = true } = {}) {
+        const cards = await _cardsForTagQuery(query, dueOnly);
+
+        if (cards.length === 0) {
+            UI.showToast(dueOnly ? 'No due cards match those tags' : 'No cards match those tags');
+            return;
+        }
+
+        sessionMode = 'tag';
+        positionMap = null;
+        studyQueue = SM2.sortCardsForReview(cards);
+        _resetSession();
+        UI.showScreen('study');
+        _showCard();
+    }
+
+    // Multiple-choice quiz: the due cards of the active deck (every card when
+    // nothing is due), each with four candidate answers from the same deck
+    async function startQuiz() {
+        const now = new Date();
+        const all = (await CardDB.getAllCards(UI.getDeckId())).filter(c => !CardDB.isParked(c, now));
+        let cards = all.filter(c => new Date(c.dueDate) <= now);
+        if (cards.length === 0 && all.length > 0) {
+            cards = all.slice();
+            UI.showToast('Nothing due — quizzing all cards');
+        }
+
+        quizPool = all;
+        cards = cards.filter(c => _pickDistractors(c, 1).length > 0);
+        if (cards.length === 0) {
+            UI.showToast('A quiz needs at least two cards with different answers in a deck');
+            return;
+        }
+
+        sessionMode = 'quiz';
+        positionMap = null;
+        studyQueue = SM2.sortCardsForReview(cards);
+        _resetSession();
+        UI.showScreen('study');
+        _showCard();
+    }
+
+    async function _cardsForTagQuery(query, dueOnly) {
+        const q = Tags.parseTagQuery(query);
+        const deckId = UI.getDeckId();
+
+        // Narrow through the tags index when the query requires a tag
+        let cards = q.include.length > 0
+            ? await CardDB.getCardsWithTag(q.include[0], deckId)
+            : await CardDB.getAllCards(deckId);
+        const now = new Date();
+        cards = cards.filter(c => Tags.matchesTagQuery(c, q) && !CardDB.isParked(c, now));
+
+        if (dueOnly) cards = cards.filter(c => new Date(c.dueDate) <= now);
+        return cards;
+    }
+
+    // ── tag study modal ─────────────────────────────────────────────────────
+
+    async function openTagStudy() {
+        tagQueryInput.value = '';
+        tagDueToggle.checked = true;
+        await _renderTagModal();
+        tagModal.classList.remove('hidden');
+        tagQueryInput.focus();
+    }
+
+    async function _renderTagModal() {
+        const tags = Tags.collectTags(await CardDB.getAllCards(UI.getDeckId()));
+        const q = Tags.parseTagQuery(tagQueryInput.value);
+        tagChipsEl.innerHTML = tags.length
+            ? Tags.renderTagChips(tags, new Set(q.include))
+            : '<p class="setting-hint">No tagged cards in this deck yet.</p>';
+
+        const hasTerms = q.include.length + q.exclude.length > 0;
+        const count = hasTerms ? (await _cardsForTagQuery(tagQueryInput.value, tagDueToggle.checked)).length : 0;
+        tagCountEl.textContent = hasTerms ? `${count} card${count !== 1 ? 's' : ''} match` : '';
+    }
+
+    // Chip click adds the tag as a required term, or removes it if present
+    function _toggleQueryTag(tag) {
+        const terms = tagQueryInput.value.split(/[\s,]+/).filter(Boolean);
+        const rest = terms.filter(t => Tags.normalizeTag(t) !== tag);
+        tagQueryInput.value = (rest.length === terms.length ? terms.concat(tag) : rest).join(' ');
+        _renderTagModal();
+    }
+
+    function _closeTagStudy() {
+        tagModal.classList.add('hidden');
+    }
+
+    async function _submitTagStudy() {
+        const q = Tags.parseTagQuery(tagQueryInput.value);
+        if (q.include.length + q.exclude.length === 0) { UI.showToast('Enter at least one tag'); return; }
+        _closeTagStudy();
+        await startTagStudy(tagQueryInput.value, { dueOnly: tagDueToggle.checked });
+    }
+
     // ── private helpers ─────────────────────────────────────────────────────
 
     function _resetSession() {
@@ -98,6 +228,12 @@ window.StudyModule = (function () {
         reviewedCount = 0;
         lastAction = null;
         undoBtn.disabled = true;
+        studyScreen.classList.toggle('quiz-mode', sessionMode === 'quiz');
+    }
+
+    // Typed answers apply to every session except the quiz
+    function _typing() {
+        return UI.getTypedAnswers() && sessionMode !== 'quiz';
     }
 
     function _showCard() {
@@ -113,13 +249,16 @@ window.StudyModule = (function () {
 
         // Reset flip instantly
         flashcard.style.transition = 'none';
-        flashcard.classList.remove('flipped', 'swiping-left', 'swiping-right', 'swiping-up');
+        flashcard.classList.remove('flipped', 'swiping-left', 'swiping-right', 'swiping-up', 'swiping-down');
         flashcard.offsetHeight; // force reflow
 
         const displayFront = UI.getSwapped() ? card.back : card.front;
         const displayBack  = UI.getSwapped() ? card.front : card.back;
         cardFront.textContent = displayFront;
-        cardBack.textContent  = displayBack;
+        cardBackText.textContent = displayBack;
+        cardExample.textContent  = card.example || '';
+        cardExample.classList.toggle('hidden', !card.example);
+        _showImage(card);
 
         // Position hint
         if (positionMap && positionMap[card.id]) {
@@ -139,34 +278,187 @@ window.StudyModule = (function () {
         }
 
         flashcard.style.transition = '';
-        tapHint.classList.remove('hidden');
+        cardShownAt = Date.now();
+        tapHint.classList.toggle('hidden', _typing());
         reviewButtons.classList.add('hidden');
-
-        goodHint.textContent = SM2.getIntervalHint(card, 3);
-        easyHint.textContent = SM2.getIntervalHint(card, 5);
+        _resetAnswer();
+        if (sessionMode === 'quiz') _renderQuiz(card);
+        cardAudioBtn.classList.toggle('hidden', !card.audioId);
+        Media.stop();
+        if (Speech.shouldAutoPlay('prompt')) _speakDisplayed(false);
+        else Speech.stop();
+
+        againHint.textContent = SM2.getIntervalHint(card, SM2.QUALITY.AGAIN);
+        hardHint.textContent  = SM2.getIntervalHint(card, SM2.QUALITY.HARD);
+        goodHint.textContent  = SM2.getIntervalHint(card, SM2.QUALITY.GOOD);
+        easyHint.textContent  = SM2.getIntervalHint(card, SM2.QUALITY.EASY);
     }
 
     function _revealCard() {
+        if (_typing()) _checkAnswer();
         flashcard.classList.add('flipped');
         tapHint.classList.add('hidden');
         reviewButtons.classList.remove('hidden');
+        if (Speech.shouldAutoPlay('answer')) _speakDisplayed(true);
+    }
+
+    // Anchor image on the card back; loads asynchronously, so make sure the
+    // card is still the current one when it arrives
+    async function _showImage(card) {
+        cardImage.classList.add('hidden');
+        cardImage.removeAttribute('src');
+        const url = await Media.imageUrl(card);
+        if (!url || studyQueue[currentCardIndex] !== card) return;
+        cardImage.src = url;
+        cardImage.classList.remove('hidden');
+    }
+
+    // Speak the displayed prompt (false) or answer (true), honouring swap mode
+    function _speakDisplayed(answer) {
+        const card = studyQueue[currentCardIndex];
+        if (!card) return;
+        const side = answer !== UI.getSwapped() ? 'back' : 'front';
+        Speech.speakSide(card, side);
+    }
+
+    // ── typed answers ────────────────────────────────────────────────────────
+
+    function _resetAnswer() {
+        const typed = _typing();
+        suggestedQuality = null;
+        answerRow.classList.toggle('hidden', !typed);
+        answerFeedback.classList.add('hidden');
+        reviewButtons.querySelectorAll('.btn').forEach(b => b.classList.remove('suggested'));
+        answerInput.value = '';
+        answerInput.disabled = false;
+        if (typed) answerInput.focus();
+    }
+
+    // Compare the typed text with the side shown on the back of the card
+    function _checkAnswer() {
+        const card = studyQueue[currentCardIndex];
+        const expected = UI.getSwapped() ? card.front : card.back;
+        const result = AnswerCheck.checkAnswer(answerInput.value, expected, { lenient: UI.getLenientDiacritics() });
+
+        suggestedQuality = result.quality;
+        answerVerdict.textContent = VERDICT_TEXT[result.verdict];
+        answerVerdict.className = `answer-verdict answer-${result.verdict}`;
+        answerDiff.innerHTML = AnswerCheck.renderDiff(result.ops);
+        answerFeedback.classList.remove('hidden');
+        answerRow.classList.add('hidden');
+        answerInput.disabled = true;
+        answerInput.blur();
+
+        reviewButtons.querySelectorAll('.btn').forEach(b => {
+            b.classList.toggle('suggested', parseInt(b.dataset.rating, 10) === result.quality);
+        });
+    }
+
+    // ── quiz ─────────────────────────────────────────────────────────────────
+
+    // Side the learner has to recognise (follows swap mode)
+    function _answerSide(card) {
+        return UI.getSwapped() ? card.front : card.back;
+    }
+
+    // Wrong answers for a card, from other cards in the same deck with a
+    // different answer. Cards on the same notebook page, sharing a tag or
+    // with an answer of similar length are preferred; ties are random.
+    function _pickDistractors(card, count) {
+        const answer = _answerSide(card);
+        const seen   = new Set([answer.trim().toLowerCase()]);
+        const tags   = new Set(card.tags || []);
+        const scored = [];
+
+        for (const other of quizPool) {
+            if (other.deckId !== card.deckId) continue;
+            const text = _answerSide(other);
+            const key  = text.trim().toLowerCase();
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            let score = Math.random();
+            if (other.notebookPage === card.notebookPage) score += 3;
+            if ((other.tags || []).some(t => tags.has(t))) score += 2;
+            const lengthDiff = Math.abs(text.length - answer.length);
+            if (lengthDiff <= 2) score += 2;
+            else if (lengthDiff <= 5) score += 1;
+            scored.push({ text, score });
+        }
+
+        return scored.sort((a, b) => b.score - a.score).slice(0, count).map(s => s.text);
+    }
+
+    function _renderQuiz(card) {
+        const options = [_answerSide(card), ..._pickDistractors(card, QUIZ_OPTIONS - 1)];
+        for (let i = options.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [options[i], options[j]] = [options[j], options[i]];
+        }
+        quizCorrectIndex = options.indexOf(_answerSide(card));
+        quizAnswered = false;
+
+        quizOptionsEl.innerHTML = options.map((text, i) => `
+            <button class="quiz-option" data-index="${i}">
+                <span class="quiz-key">${i + 1}</span>
+                <span class="quiz-text">${UI.escapeHtml(text)}</span>
+            </button>
+        `).join('');
+    }
+
+    // Mark the choice, flip the card, then record the result after a pause
+    // long enough to see the right answer
+    function _chooseOption(index) {
+        if (quizAnswered || index < 0 || index >= quizOptionsEl.children.length) return;
+        quizAnswered = true;
+
+        const correct = index === quizCorrectIndex;
+        const buttons = quizOptionsEl.querySelectorAll('.quiz-option');
+        buttons[quizCorrectIndex].classList.add('correct');
+        if (!correct) buttons[index].classList.add('wrong');
+        flashcard.classList.add('flipped');
+        if (Speech.shouldAutoPlay('answer')) _speakDisplayed(true);
+
+        const quality = correct ? SM2.QUALITY.GOOD : SM2.QUALITY.AGAIN;
+        quizTimer = setTimeout(() => {
+            quizTimer = null;
+            _handleReview(quality, correct ? QUIZ_WEIGHT : 1);
+        }, correct ? 700 : 1500);
     }
 
     function _isFlipped() {
         return flashcard.classList.contains('flipped');
     }
 
-    async function _handleReview(quality) {
+    async function _handleReview(quality, weight = 1) {
         const card = studyQueue[currentCardIndex];
 
-        lastAction = { card: { ...card }, index: currentCardIndex };
-        undoBtn.disabled = false;
+        let updated = weight < 1
+            ? SM2.calculateWeightedReview(card, quality, weight)
+            : SM2.calculateNextReview(card, quality);
+        const leech = Retention.becameLeech(card, updated);
+        if (leech) updated = { ...updated, ...Retention.leechUpdates(updated) };
+        const reviewId = await CardDB.recordReview(card.id, updated, {
+            timestamp:       updated.lastReviewed,
+            quality,
+            prevInterval:    card.interval,
+            nextInterval:    updated.interval,
+            prevEaseFactor:  card.easeFactor,
+            easeFactor:      updated.easeFactor,
+            prevRepetitions: card.repetitions,
+            isNew:           !card.lastReviewed,
+            responseTime:    Date.now() - cardShownAt,
+            mode:            sessionMode,
+            weight
+        });
 
-        const updated = SM2.calculateNextReview(card, quality);
-        await CardDB.updateCard(card.id, updated);
-        _incrementTodayCount();
+        lastAction = { card: { ...card }, index: currentCardIndex, reviewId };
+        undoBtn.disabled = false;
 
-        if (quality === 0) {
+        if (updated.suspended) {
+            // A suspended leech leaves the session rather than going round again
+            studyQueue.splice(currentCardIndex, 1);
+        } else if (quality === SM2.QUALITY.AGAIN) {
             studyQueue[currentCardIndex] = updated;
             const failed = studyQueue.splice(currentCardIndex, 1)[0];
             studyQueue.push(failed);
@@ -175,17 +467,80 @@ window.StudyModule = (function () {
             currentCardIndex++;
         }
 
+        if (leech) _onLeech(updated);
+        _showCard();
+    }
+
+    // ── leeches ─────────────────────────────────────────────────────────────
+
+    function _onLeech(card) {
+        const { action } = Retention.getLeechConfig();
+        if (action === 'suspend') {
+            UI.showToast('Leech suspended — rewrite it from Manage → Leeches');
+        } else if (action === 'anchor') {
+            leechCardId = card.id;
+            leechIntro.textContent = `You have forgotten "${card.front} → ${card.back}" ${card.lapses} times. ` +
+                'A memory anchor — an image, pun or story linking the two sides — often makes it stick.';
+            leechAnchorInput.value = card.anchor || '';
+            leechModal.classList.remove('hidden');
+            leechAnchorInput.focus();
+        } else {
+            UI.showToast(`Leech — tagged #${Retention.LEECH_TAG}`);
+        }
+    }
+
+    async function _saveLeechAnchor() {
+        const anchor = leechAnchorInput.value.trim();
+        const id = leechCardId;
+        _closeLeechModal();
+        if (!anchor) return;
+        try {
+            await CardDB.updateCard(id, { anchor });
+        } catch (e) {
+            UI.showToast('Error saving anchor');
+            return;
+        }
+        studyQueue.forEach(c => { if (c.id === id) c.anchor = anchor; });
+        if (studyQueue[currentCardIndex] && studyQueue[currentCardIndex].id === id && !_isFlipped()) _showCard();
+        UI.showToast('Anchor saved');
+    }
+
+    function _closeLeechModal() {
+        leechModal.classList.add('hidden');
+        leechCardId = null;
+    }
+
+    // Park the current card until the next study day starts; it leaves the session
+    async function _buryCard() {
+        const card = studyQueue[currentCardIndex];
+        if (!card || (sessionMode === 'quiz' && quizAnswered)) return;
+        clearTimeout(quizTimer);
+        try {
+            await CardDB.updateCard(card.id, { buriedUntil: DailyLimits.nextDayStart().toISOString() });
+        } catch (e) {
+            UI.showToast('Error burying card');
+            return;
+        }
+        lastAction = { card: { ...card }, index: currentCardIndex, reviewId: null };
+        undoBtn.disabled = false;
+        studyQueue.splice(currentCardIndex, 1);
+        UI.showToast('Buried until tomorrow');
         _showCard();
     }
 
     async function _undoLastAction() {
         if (!lastAction) return;
-        const { card, index } = lastAction;
-        await CardDB.updateCard(card.id, card);
+        clearTimeout(quizTimer);
+        const { card, index, reviewId } = lastAction;
+        if (reviewId === null) {
+            await CardDB.updateCard(card.id, { buriedUntil: card.buriedUntil || null });
+        } else {
+            await CardDB.undoReview(card, reviewId);
+        }
         studyQueue = studyQueue.filter(c => c.id !== card.id);
         studyQueue.splice(index, 0, card);
         currentCardIndex = index;
-        if (reviewedCount > 0) reviewedCount--;
+        if (reviewId !== null && reviewedCount > 0) reviewedCount--;
         lastAction = null;
         undoBtn.disabled = true;
         _showCard();
@@ -193,26 +548,17 @@ window.StudyModule = (function () {
     }
 
     function _endStudy() {
-        const label = isPracticeMode ? 'practiced' : 'reviewed';
+        clearTimeout(quizTimer);
+        Speech.stop();
+        Media.stop();
+        const label = sessionMode === 'practice' ? 'practiced' : 'reviewed';
         completeStats.textContent = `You ${label} ${reviewedCount} card${reviewedCount !== 1 ? 's' : ''}.`;
         if (reviewedCount > 0) _recordStudySession();
         UI.showScreen('complete');
         _showConfetti();
     }
 
-    // ── streak / count helpers ───────────────────────────────────────────────
-
-    function _incrementTodayCount() {
-        const today = new Date().toDateString();
-        const storedDate = localStorage.getItem('kapanak-review-date');
-        let count = storedDate === today
-            ? parseInt(localStorage.getItem('kapanak-today-count') || '0', 10)
-            : 0;
-        localStorage.setItem('kapanak-review-date', today);
-        localStorage.setItem('kapanak-today-count', (++count).toString());
-        const el = document.getElementById('today-reviewed');
-        if (el) el.textContent = count;
-    }
+    // ── streak helpers ───────────────────────────────────────────────────────
 
     function _recordStudySession() {
         const today = new Date().toDateString();
@@ -247,7 +593,7 @@ window.StudyModule = (function () {
     // ── touch / keyboard ─────────────────────────────────────────────────────
 
     function _onTouchStart(e) {
-        if (!_isFlipped()) return;
+        if (!_isFlipped() || sessionMode === 'quiz') return;
         touchStartX = e.touches[0].clientX;
         touchStartY = e.touches[0].clientY;
         isSwiping = true;
@@ -257,12 +603,14 @@ window.StudyModule = (function () {
         if (!isSwiping || !_isFlipped()) return;
         const dx = e.touches[0].clientX - touchStartX;
         const dy = e.touches[0].clientY - touchStartY;
-        flashcard.classList.remove('swiping-left', 'swiping-right', 'swiping-up');
+        flashcard.classList.remove('swiping-left', 'swiping-right', 'swiping-up', 'swiping-down');
         if (Math.abs(dx) > Math.abs(dy)) {
             if (dx < -50) { flashcard.classList.add('swiping-left'); e.preventDefault(); }
             else if (dx > 50) { flashcard.classList.add('swiping-right'); e.preventDefault(); }
         } else if (dy < -50) {
             flashcard.classList.add('swiping-up'); e.preventDefault();
+        } else if (dy > 50) {
+            flashcard.classList.add('swiping-down'); e.preventDefault();
         }
     }
 
@@ -271,27 +619,46 @@ window.StudyModule = (function () {
         const dx = e.changedTouches[0].clientX - touchStartX;
         const dy = e.changedTouches[0].clientY - touchStartY;
         const threshold = 80;
-        flashcard.classList.remove('swiping-left', 'swiping-right', 'swiping-up');
+        flashcard.classList.remove('swiping-left', 'swiping-right', 'swiping-up', 'swiping-down');
         if (Math.abs(dx) > Math.abs(dy)) {
-            if (dx < -threshold) _handleReview(0);
-            else if (dx > threshold) _handleReview(3);
+            if (dx < -threshold) _handleReview(SM2.QUALITY.AGAIN);
+            else if (dx > threshold) _handleReview(SM2.QUALITY.GOOD);
         } else if (dy < -threshold) {
-            _handleReview(5);
+            _handleReview(SM2.QUALITY.EASY);
+        } else if (dy > threshold) {
+            _handleReview(SM2.QUALITY.HARD);
         }
         isSwiping = false;
     }
 
     function _onKeydown(e) {
-        if (UI.getScreen() !== 'study') return;
+        if (UI.getScreen() !== 'study' || !leechModal.classList.contains('hidden')) return;
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
         const key = e.key.toLowerCase();
+        if (key === 'r' && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault(); _speakDisplayed(_isFlipped()); return;
+        }
+        if (key === 'p' && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault(); Media.playCard(studyQueue[currentCardIndex]); return;
+        }
+        if (key === 'b' && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault(); _buryCard(); return;
+        }
+        if (sessionMode === 'quiz' && !e.ctrlKey && !e.metaKey) {
+            if (/^[1-9]$/.test(key)) { e.preventDefault(); _chooseOption(parseInt(key, 10) - 1); }
+            return;
+        }
         if ((key === ' ' || key === 'enter') && !_isFlipped()) {
             e.preventDefault(); _revealCard(); return;
         }
+        if (key === 'enter' && _isFlipped() && suggestedQuality !== null) {
+            e.preventDefault(); _handleReview(suggestedQuality); return;
+        }
         if (_isFlipped()) {
-            if (key === '1' || key === 'a') { e.preventDefault(); _handleReview(0); }
-            else if (key === '2' || key === 'g') { e.preventDefault(); _handleReview(3); }
-            else if (key === '3' || key === 'e') { e.preventDefault(); _handleReview(5); }
+            if (key === '1' || key === 'a') { e.preventDefault(); _handleReview(SM2.QUALITY.AGAIN); }
+            else if (key === '2' || key === 'h') { e.preventDefault(); _handleReview(SM2.QUALITY.HARD); }
+            else if (key === '3' || key === 'g') { e.preventDefault(); _handleReview(SM2.QUALITY.GOOD); }
+            else if (key === '4' || key === 'e') { e.preventDefault(); _handleReview(SM2.QUALITY.EASY); }
         }
         if ((e.ctrlKey || e.metaKey) && key === 'z') {
             e.preventDefault(); _undoLastAction();
@@ -306,17 +673,45 @@ window.StudyModule = (function () {
         flashcard         = document.getElementById('flashcard');
         flashcardContainer = document.getElementById('flashcard-container');
         cardFront         = document.getElementById('card-front');
-        cardBack          = document.getElementById('card-back');
+        cardBackText      = document.getElementById('card-back-text');
+        cardExample       = document.getElementById('card-example');
+        cardImage         = document.getElementById('card-image');
         tapHint           = document.getElementById('tap-hint');
         reviewButtons     = document.getElementById('review-buttons');
+        againHint         = document.getElementById('again-hint');
+        hardHint          = document.getElementById('hard-hint');
         goodHint          = document.getElementById('good-hint');
         easyHint          = document.getElementById('easy-hint');
         undoBtn           = document.getElementById('undo-btn');
+        cardAudioBtn      = document.getElementById('card-audio-btn');
         cardPosition      = document.getElementById('card-position');
         cardAnchor        = document.getElementById('card-anchor');
         completeStats     = document.getElementById('complete-stats');
-
-        flashcard.addEventListener('click', () => { if (!_isFlipped()) _revealCard(); });
+        tagModal          = document.getElementById('tag-study-modal');
+        tagQueryInput     = document.getElementById('tag-study-query');
+        tagChipsEl        = document.getElementById('tag-study-chips');
+        tagDueToggle      = document.getElementById('tag-study-due');
+        tagCountEl        = document.getElementById('tag-study-count');
+        answerRow         = document.getElementById('answer-row');
+        answerInput       = document.getElementById('answer-input');
+        answerFeedback    = document.getElementById('answer-feedback');
+        answerVerdict     = document.getElementById('answer-verdict');
+        answerDiff        = document.getElementById('answer-diff');
+        studyScreen       = document.getElementById('study-screen');
+        quizOptionsEl     = document.getElementById('quiz-options');
+        leechModal        = document.getElementById('leech-modal');
+        leechIntro        = document.getElementById('leech-intro');
+        leechAnchorInput  = document.getElementById('leech-anchor');
+
+        flashcard.addEventListener('click', () => { if (!_isFlipped() && sessionMode !== 'quiz') _revealCard(); });
+        quizOptionsEl.addEventListener('click', e => {
+            const option = e.target.closest('.quiz-option');
+            if (option) _chooseOption(parseInt(option.dataset.index, 10));
+        });
+        document.getElementById('answer-check-btn').addEventListener('click', () => { if (!_isFlipped()) _revealCard(); });
+        answerInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter' && !_isFlipped()) { e.preventDefault(); _revealCard(); }
+        });
 
         flashcardContainer.addEventListener('touchstart', _onTouchStart, { passive: true });
         flashcardContainer.addEventListener('touchmove',  _onTouchMove,  { passive: false });
@@ -327,11 +722,14 @@ window.StudyModule = (function () {
         });
 
         document.getElementById('undo-btn').addEventListener('click', _undoLastAction);
+        document.getElementById('bury-btn').addEventListener('click', _buryCard);
+        document.getElementById('speak-btn').addEventListener('click', () => _speakDisplayed(_isFlipped()));
+        cardAudioBtn.addEventListener('click', () => Media.playCard(studyQueue[currentCardIndex]));
         document.getElementById('end-study-btn').addEventListener('click', () => {
             if (confirm('End study session?')) _endStudy();
         });
         document.getElementById('back-home-btn').addEventListener('click', async () => {
-            if (isPageStudy) {
+            if (sessionMode === 'page') {
                 await NotebookModule.resume();
             } else {
                 await StatsModule.update();
@@ -339,8 +737,24 @@ window.StudyModule = (function () {
             }
         });
 
+        document.getElementById('tag-study-btn').addEventListener('click', openTagStudy);
+        document.getElementById('tag-study-cancel-btn').addEventListener('click', _closeTagStudy);
+        document.getElementById('tag-study-start-btn').addEventListener('click', _submitTagStudy);
+        tagModal.addEventListener('click', e => { if (e.target === tagModal) _closeTagStudy(); });
+        tagQueryInput.addEventListener('input', _renderTagModal);
+        tagQueryInput.addEventListener('keydown', e => { if (e.key === 'Enter') _submitTagStudy(); });
+        tagDueToggle.addEventListener('change', _renderTagModal);
+        tagChipsEl.addEventListener('click', e => {
+            const chip = e.target.closest('.tag-chip');
+            if (chip) _toggleQueryTag(chip.dataset.tag);
+        });
+
+        document.getElementById('leech-skip-btn').addEventListener('click', _closeLeechModal);
+        document.getElementById('leech-save-btn').addEventListener('click', _saveLeechAnchor);
+        leechAnchorInput.addEventListener('keydown', e => { if (e.key === 'Enter') _saveLeechAnchor(); });
+
         document.addEventListener('keydown', _onKeydown);
     }
 
-    return { init, startStudy, startPractice, startPageStudy };
+    return { init, startStudy, startPractice, startPageStudy, startTagStudy, startQuiz, openTagStudy };
 })();
@@ -0,0 +1,198 @@
+/**
+ * Sync
+ * Optional two-way sync between devices through an HTTP endpoint you host
+ * yourself. Off until an endpoint URL is entered in Settings.
+ *
+ * Every sync is one POST: this device sends what changed since its last
+ * successful sync and gets back what other devices sent since then (see
+ * ARCHITECTURE.md, "Sync Protocol"). The server only stores and relays
+ * change sets; merging happens here (CardDB.applySyncChanges): cards per
+ * field group, newest wins; decks as a whole; deletions as tombstones;
+ * review logs combined.
+ *
+ * Works offline: changes are tracked in the database (modifiedAt,
+ * tombstones), so whatever piles up while the endpoint is unreachable goes
+ * out with the next sync that succeeds. Recordings and images are not
+ * synced.
+ */
+window.SyncModule = (function () {
+    'use strict';
+
+    const PROTOCOL = 1;
+    const CHECK_INTERVAL_MS = 60 * 1000;        // Status refresh; sync if anything is waiting
+    const PULL_INTERVAL_MS  = 5 * 60 * 1000;    // Sync at least this often to pick up other devices' changes
+
+    let endpoint = '';
+    let syncing = false;
+    let lastError = null;
+
+    let statusBtn, endpointInput, tokenInput, syncNowBtn, syncHint;
+
+    function _deviceId() {
+        let id = localStorage.getItem('kapanak-sync-device');
+        if (!id) {
+            id = generateUUID();
+            localStorage.setItem('kapanak-sync-device', id);
+        }
+        return id;
+    }
+
+    function _formatTime(iso) {
+        const date = new Date(iso);
+        return date.toDateString() === new Date().toDateString()
+            ? date.toLocaleTimeString(undefined, { timeStyle: 'short' })
+            : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    // ── status ──────────────────────────────────────────────────────────────
+
+    /**
+     * Refresh the header indicator and the Settings hint
+     * @returns {Promise<void>}
+     */
+    async function updateStatus() {
+        statusBtn.classList.toggle('hidden', !endpoint);
+        if (!endpoint) {
+            syncHint.textContent = 'Enter the address of your sync server to keep devices in step.';
+            return;
+        }
+        const pending = await CardDB.countSyncChanges(localStorage.getItem('kapanak-sync-since'));
+        const last = localStorage.getItem('kapanak-sync-last');
+        const waiting = pending > 0 ? `${pending} change${pending !== 1 ? 's' : ''} waiting` : '';
+
+        let state, label;
+        if (syncing)                { state = 'syncing'; label = 'Syncing…'; }
+        else if (!navigator.onLine) { state = 'offline'; label = waiting ? `Offline · ${pending}` : 'Offline'; }
+        else if (lastError)         { state = 'error';   label = 'Sync failed'; }
+        else if (pending > 0)       { state = 'pending'; label = `${pending} to sync`; }
+        else                        { state = 'synced';  label = 'Synced'; }
+
+        statusBtn.dataset.state = state;
+        statusBtn.textContent = label;
+        statusBtn.title = lastError ? `Sync failed: ${lastError}` : (last ? `Last synced ${_formatTime(last)}` : 'Not synced yet');
+        syncHint.textContent = [
+            lastError ? `Last attempt failed: ${lastError}.` : '',
+            last ? `Last synced ${_formatTime(last)}.` : 'Not synced yet.',
+            waiting ? `${waiting}.` : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    // ── sync ────────────────────────────────────────────────────────────────
+
+    /**
+     * Push local changes and apply the ones from other devices. Does nothing
+     * without an endpoint, while offline or while a sync is running.
+     * @returns {Promise<boolean>} Whether a sync completed
+     */
+    async function sync() {
+        if (!endpoint || syncing) return false;
+        if (!navigator.onLine) { await updateStatus(); return false; }
+
+        syncing = true;
+        await updateStatus();
+        // Changes made from here on are sent next time, even if this sync
+        // already picks some of them up
+        const startedAt = new Date().toISOString();
+        let ok = false;
+        try {
+            const changes = await CardDB.getSyncChanges(localStorage.getItem('kapanak-sync-since'));
+            const headers = { 'Content-Type': 'application/json' };
+            const token = localStorage.getItem('kapanak-sync-token');
+            if (token) headers.Authorization = `Bearer ${token}`;
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    protocol: PROTOCOL,
+                    device: _deviceId(),
+                    cursor: localStorage.getItem('kapanak-sync-cursor'),
+                    changes
+                })
+            });
+            if (!response.ok) throw new Error(`server answered ${response.status}`);
+            const reply = await response.json();
+            if (!reply || reply.cursor === undefined || !reply.changes) throw new Error('not a sync response');
+
+            const applied = await CardDB.applySyncChanges(reply.changes);
+            localStorage.setItem('kapanak-sync-cursor', reply.cursor);
+            localStorage.setItem('kapanak-sync-since', startedAt);
+            localStorage.setItem('kapanak-sync-last', new Date().toISOString());
+            lastError = null;
+            ok = true;
+
+            if (applied.cards || applied.decks || applied.deleted) {
+                await DeckModule.refresh();
+                if (UI.getScreen() === 'home') await StatsModule.update();
+            }
+        } catch (e) {
+            console.error('Sync error:', e);
+            lastError = e instanceof TypeError ? 'server unreachable' : e.message;
+        }
+        syncing = false;
+        await updateStatus();
+        return ok;
+    }
+
+    async function _syncNow() {
+        if (!endpoint) { UI.showToast('Enter a sync server first'); return; }
+        if (!navigator.onLine) { UI.showToast('Offline — changes will sync when you\'re back online'); return; }
+        UI.showToast(await sync() ? 'Synced' : 'Sync failed — changes are kept for the next try');
+    }
+
+    async function _tick() {
+        if (!endpoint || document.visibilityState !== 'visible') return;
+        const last = localStorage.getItem('kapanak-sync-last');
+        const pending = await CardDB.countSyncChanges(localStorage.getItem('kapanak-sync-since'));
+        if (pending > 0 || !last || Date.now() - new Date(last).getTime() >= PULL_INTERVAL_MS) await sync();
+        else await updateStatus();
+    }
+
+    // ── settings ────────────────────────────────────────────────────────────
+
+    function setEndpoint(url) {
+        url = url.trim();
+        if (url !== endpoint) {
+            // A different server knows nothing of this device: start over
+            // with a full upload and download
+            localStorage.removeItem('kapanak-sync-cursor');
+            localStorage.removeItem('kapanak-sync-since');
+            localStorage.removeItem('kapanak-sync-last');
+            lastError = null;
+        }
+        endpoint = url;
+        localStorage.setItem('kapanak-sync-endpoint', url);
+        endpointInput.value = url;
+    }
+
+    function init() {
+        statusBtn     = document.getElementById('sync-status');
+        endpointInput = document.getElementById('sync-endpoint');
+        tokenInput    = document.getElementById('sync-token');
+        syncNowBtn    = document.getElementById('sync-now-btn');
+        syncHint      = document.getElementById('sync-hint');
+
+        endpoint = localStorage.getItem('kapanak-sync-endpoint') || '';
+        endpointInput.value = endpoint;
+        tokenInput.value = localStorage.getItem('kapanak-sync-token') || '';
+
+        endpointInput.addEventListener('change', () => {
+            setEndpoint(endpointInput.value);
+            if (endpoint) sync();
+            else updateStatus();
+        });
+        tokenInput.addEventListener('change', () => {
+            localStorage.setItem('kapanak-sync-token', tokenInput.value.trim());
+        });
+        syncNowBtn.addEventListener('click', _syncNow);
+        statusBtn.addEventListener('click', _syncNow);
+
+        window.addEventListener('online', sync);
+        window.addEventListener('offline', updateStatus);
+        document.addEventListener('visibilitychange', _tick);
+        setInterval(_tick, CHECK_INTERVAL_MS);
+
+        _tick();
+    }
+
+    return { init, sync, updateStatus };
+})();
@@ -0,0 +1,102 @@
+/**
+ * Tag helpers
+ * Normalising, parsing and matching card tags.
+ *
+ * Tags are stored lowercase without the leading '#', with inner whitespace
+ * replaced by '-' ("Lesson 7" → "lesson-7").
+ *
+ * Tag query syntax (used by tag-filtered study sessions):
+ * - Space- or comma-separated terms, all of which must hold
+ * - `verbs`  → card has tag "verbs"
+ * - `-food`  → card does not have tag "food"
+ * - A leading '#' on any term is optional
+ */
+
+/**
+ * Normalise a single tag
+ * @param {string} tag - Raw tag, with or without '#'
+ * @returns {string} Normalised tag ('' if nothing usable)
+ */
+function normalizeTag(tag) {
+    return (tag || '')
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/["'<>]/g, '')
+        .replace(/\s+/g, '-');
+}
+
+/**
+ * Parse a comma/space separated tag list ("verbs, #lesson-7 food")
+ * @param {string} text - Raw tag list
+ * @returns {Array<string>} Unique normalised tags, in input order
+ */
+function parseTagList(text) {
+    const tags = (text || '').split(/[\s,]+/).map(normalizeTag).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Parse a tag query into required and excluded tags
+ * @param {string} query - e.g. "verbs lesson-7 -food"
+ * @returns {{include: Array<string>, exclude: Array<string>}}
+ */
+function parseTagQuery(query) {
+    const include = [], exclude = [];
+    for (const term of (query || '').split(/[\s,]+/)) {
+        if (term.startsWith('-')) {
+            const tag = normalizeTag(term.slice(1));
+            if (tag) exclude.push(tag);
+        } else {
+            const tag = normalizeTag(term);
+            if (tag) include.push(tag);
+        }
+    }
+    return { include, exclude };
+}
+
+/**
+ * Check a card against a parsed tag query
+ * @param {Object} card - Card object
+ * @param {{include: Array<string>, exclude: Array<string>}} query - From parseTagQuery
+ * @returns {boolean} True if the card satisfies every term
+ */
+function matchesTagQuery(card, query) {
+    const tags = card.tags || [];
+    return query.include.every(t => tags.includes(t)) &&
+        !query.exclude.some(t => tags.includes(t));
+}
+
+/**
+ * Collect the distinct tags used by a set of cards
+ * @param {Array} cards - Card objects
+ * @returns {Array<string>} Sorted unique tags
+ */
+function collectTags(cards) {
+    const all = new Set();
+    for (const card of cards) (card.tags || []).forEach(t => all.add(t));
+    const collator = new Intl.Collator('pl', { sensitivity: 'base' });
+    return [...all].sort(collator.compare);
+}
+
+/**
+ * Render tags as chip buttons
+ * @param {Array<string>} tags - Tags to render
+ * @param {Set<string>} [active] - Tags to mark active
+ * @returns {string} HTML string
+ */
+function renderTagChips(tags, active = new Set()) {
+    return tags.map(t => {
+        const safe = UI.escapeHtml(t);
+        return `<button class="tag-chip${active.has(t) ? ' active' : ''}" data-tag="${safe}">#${safe}</button>`;
+    }).join('');
+}
+
+window.Tags = {
+    normalizeTag,
+    parseTagList,
+    parseTagQuery,
+    matchesTagQuery,
+    collectTags,
+    renderTagChips
+};
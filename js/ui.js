@@ -8,6 +8,9 @@ window.UI = (function () {
     let currentScreen = 'home';
     let isDarkMode = false;
     let isSwapped = false;
+    let activeDeckId = '';   // '' = all decks
+    let typedAnswers = false;
+    let lenientDiacritics = true;
 
     const toast = document.getElementById('toast');
 
@@ -23,6 +26,23 @@ window.UI = (function () {
         setTimeout(() => toast.classList.remove('show'), duration);
     }
 
+    /**
+     * Save text as a file through a temporary download link
+     * @param {string} text - File contents
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    function downloadFile(text, filename, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const a   = document.createElement('a');
+        a.href     = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -32,11 +52,18 @@ window.UI = (function () {
     return {
         showScreen,
         showToast,
+        downloadFile,
         escapeHtml,
         getScreen: () => currentScreen,
         getSwapped: () => isSwapped,
         setSwapped: (v) => { isSwapped = v; },
+        getDeckId: () => activeDeckId,
+        setDeckId: (v) => { activeDeckId = v; },
         getDarkMode: () => isDarkMode,
         setDarkMode: (v) => { isDarkMode = v; },
+        getTypedAnswers: () => typedAnswers,
+        setTypedAnswers: (v) => { typedAnswers = v; },
+        getLenientDiacritics: () => lenientDiacritics,
+        setLenientDiacritics: (v) => { lenientDiacritics = v; },
     };
 })();
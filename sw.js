@@ -12,14 +12,33 @@ const ASSETS_TO_CACHE = [
     './css/style.css',
     './js/version.js',
     './js/db.js',
+    './js/backup.js',
+    './js/tags.js',
     './js/sm2.js',
+    './js/fsrs.js',
+    './js/limits.js',
+    './js/answer.js',
+    './js/duplicates.js',
+    './js/csv.js',
+    './js/anki.js',
     './js/import.js',
     './js/ui.js',
+    './js/speech.js',
+    './js/media.js',
     './js/stats.js',
+    './js/charts.js',
+    './js/forecast.js',
+    './js/retention.js',
+    './js/history.js',
+    './js/statistics.js',
     './js/study.js',
     './js/manage.js',
     './js/settings.js',
+    './js/snapshots.js',
+    './js/sync.js',
     './js/notebook.js',
+    './js/export.js',
+    './js/decks.js',
     './js/app.js',
     './icons/icon-72.png',
     './icons/icon-96.png',